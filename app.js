@@ -1,5 +1,19 @@
 // app.js – main application logic for Cashflow Calculator PWA
 // This script manages theming, routing, state persistence and view rendering.
+// The calculations and the saved state's layout live in lib/, free of the
+// DOM so the tests can run them under Node.
+
+import { CURRENCIES, LOCALES, currencyFor, moneyFormatFor, centsToDecimal, parseMoney, decimalToCents, denomCents, denomKey, currencyDenoms } from './lib/money.js';
+import { addDaysISO, isoToDate, toISODate, weekLabel, formatDateISO } from './lib/dates.js';
+import { SCHEMA_VERSION, MIGRATIONS, defaultState, readSavedState, upgradeState, normalizeState, rowCollections, rowKind, newId } from './lib/state.js';
+import { recurringRows, sectionRows } from './lib/recurring.js';
+import {
+  MIN_FORECAST_WEEKS, MAX_FORECAST_WEEKS, sumAmounts, profileTotals, cashTotals, combinedQuantities,
+  summaryTotals, newForecastWeek, forecastWeeks, forecastHorizon
+} from './lib/totals.js';
+import { SALES_CATEGORY, salesEntryId, weekDays, weekSales, suggestedSales } from './lib/sales.js';
+import { taxApplies, rowTax, weekTax, quarterTax } from './lib/tax.js';
+import { SYNC_TABLE, stampChanges, pushState } from './lib/sync.js';
 
 console.log('Cashflow Calculator loaded');
 
@@ -8,10 +22,220 @@ const appEl = document.getElementById('app');
 const saveStatus = document.getElementById('saveStatus');
 const authStatus = document.getElementById('authStatus');
 const authButton = document.getElementById('authButton');
+const undoButton = document.getElementById('undoButton');
+const redoButton = document.getElementById('redoButton');
 const themeToggle = document.getElementById('themeToggle');
 const accentContainer = document.getElementById('accentSelect');
 const metaTheme = document.querySelector('meta[name="theme-color"]');
 
+// ----------------------
+// Storage
+// ----------------------
+
+/**
+ * Everything the app keeps between visits lives in one IndexedDB object
+ * store of key → value pairs. openStorage() reads it all into memory once, so
+ * storageGet() is synchronous; changes are written back in a single batched
+ * transaction shortly after the last one (see flushStorage()). Browsers
+ * without IndexedDB fall back to localStorage.
+ */
+const STORAGE_DB = 'cashflow';
+const STORAGE_STORE = 'kv';
+/** How long writes wait for more changes before going to disk. */
+const STORAGE_FLUSH_MS = 300;
+/**
+ * localStorage keys earlier versions wrote, moved into IndexedDB (with their
+ * per-workspace copies, see workspaceKey()); unreadable copies move too.
+ */
+const LEGACY_STORAGE_KEYS = ['state-cashflow', 'theme', 'accent', 'sync-meta', 'alerts-cashflow'];
+/** Keys whose values are objects, kept as JSON text in localStorage; the rest are plain text. */
+const JSON_STORAGE_KEYS = ['state-cashflow', 'workspaces', 'sync-meta', 'alerts-cashflow'];
+
+// In-memory copy of the store, and the keys changed since the last write (value undefined = removed)
+const storageCache = new Map();
+const storageDirty = new Map();
+/** Open IndexedDB connection, or null while using the localStorage fallback. */
+let storageDb = null;
+
+/**
+ * Open the database, load it into memory and move in whatever earlier
+ * versions left in localStorage. Resolves once storageGet() can be used.
+ * @returns {Promise<void>}
+ */
+async function openStorage() {
+  try {
+    storageDb = await new Promise((resolve, reject) => {
+      const req = indexedDB.open(STORAGE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORAGE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const tx = storageDb.transaction(STORAGE_STORE, 'readonly');
+    const [keys, values] = await Promise.all([
+      storageRequest(tx.objectStore(STORAGE_STORE).getAllKeys()),
+      storageRequest(tx.objectStore(STORAGE_STORE).getAll())
+    ]);
+    keys.forEach((key, i) => storageCache.set(key, values[i]));
+    await migrateLocalStorage();
+  } catch (err) {
+    console.warn('IndexedDB unavailable, storing data in localStorage', err);
+    storageDb = null;
+    storageCache.clear();
+  }
+  requestPersistentStorage();
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ * @param {IDBRequest} req
+ * @returns {Promise<*>}
+ */
+function storageRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Copy data saved by earlier versions from localStorage into the database,
+ * then remove it from localStorage once the copy is safely written. Keys the
+ * database already holds keep its newer value. Objects are stored parsed;
+ * anything that does not parse is kept as the text so loadState() can still
+ * report it as unreadable.
+ */
+async function migrateLocalStorage() {
+  const keys = Object.keys(localStorage)
+    .filter(key => LEGACY_STORAGE_KEYS.includes(baseStorageKey(key)) || key.startsWith(UNREADABLE_PREFIX));
+  if (!keys.length) return;
+  keys.filter(key => !storageCache.has(key)).forEach(key => {
+    const raw = localStorage.getItem(key);
+    let value = raw;
+    if (JSON_STORAGE_KEYS.includes(baseStorageKey(key))) {
+      try { value = JSON.parse(raw); } catch (err) { /* left as text for loadState() */ }
+    }
+    storageCache.set(key, value);
+    storageDirty.set(key, value);
+  });
+  await flushStorage();
+  keys.forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * A storage key without the workspace it belongs to, e.g. 'sync-meta' for
+ * 'sync-meta@<id>'.
+ * @param {string} key
+ * @returns {string}
+ */
+function baseStorageKey(key) {
+  return key.split('@')[0];
+}
+
+/** Ask the browser not to evict the database when space runs low. */
+function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return;
+  navigator.storage.persisted()
+    .then(persisted => persisted || navigator.storage.persist())
+    .catch(err => console.warn('Could not request persistent storage', err));
+}
+
+/**
+ * Read a stored value.
+ * @param {string} key
+ * @returns {*} the value, or undefined when nothing is stored under key
+ */
+function storageGet(key) {
+  if (storageDb) return storageCache.get(key);
+  const raw = localStorage.getItem(key);
+  if (raw === null) return undefined;
+  if (!JSON_STORAGE_KEYS.includes(baseStorageKey(key))) return raw;
+  try { return JSON.parse(raw); } catch (err) { return raw; }
+}
+
+/**
+ * Store a value. The caller must not change it afterwards; IndexedDB copies
+ * it when the batch is written. Throws when the localStorage fallback is full.
+ * @param {string} key
+ * @param {*} value anything structured clone can copy
+ */
+function storageSet(key, value) {
+  if (!storageDb) {
+    localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    return;
+  }
+  storageCache.set(key, value);
+  storageDirty.set(key, value);
+  scheduleStorageFlush();
+}
+
+/**
+ * Remove a stored value.
+ * @param {string} key
+ */
+function storageRemove(key) {
+  if (!storageDb) {
+    localStorage.removeItem(key);
+    return;
+  }
+  storageCache.delete(key);
+  storageDirty.set(key, undefined);
+  scheduleStorageFlush();
+}
+
+/**
+ * Every key with a stored value.
+ * @returns {string[]}
+ */
+function storageKeys() {
+  return storageDb ? [...storageCache.keys()] : Object.keys(localStorage);
+}
+
+/** Write pending changes after STORAGE_FLUSH_MS without further changes. */
+function scheduleStorageFlush() {
+  clearTimeout(window.__storageTimer);
+  window.__storageTimer = setTimeout(() => {
+    flushStorage().catch(err => {
+      console.error('Error saving state', err);
+      clearTimeout(window.__saveTimer);
+      saveStatus.textContent = 'Error saving';
+    });
+  }, STORAGE_FLUSH_MS);
+}
+
+/**
+ * Write every pending change in one transaction. Changes made while it runs
+ * stay pending for the next flush.
+ * @returns {Promise<void>}
+ */
+function flushStorage() {
+  clearTimeout(window.__storageTimer);
+  if (!storageDb || !storageDirty.size) return Promise.resolve();
+  const batch = new Map(storageDirty);
+  storageDirty.clear();
+  return new Promise((resolve, reject) => {
+    const tx = storageDb.transaction(STORAGE_STORE, 'readwrite');
+    const store = tx.objectStore(STORAGE_STORE);
+    batch.forEach((value, key) => (value === undefined ? store.delete(key) : store.put(value, key)));
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => {
+      // Put the batch back unless newer changes replaced it
+      batch.forEach((value, key) => { if (!storageDirty.has(key)) storageDirty.set(key, value); });
+      reject(tx.error);
+    };
+  });
+}
+
+// Write pending changes, a save still waiting to run included, before the page is hidden or closed
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  flushSave();
+  flushStorage().catch(err => console.error('Error saving state', err));
+});
+window.addEventListener('pagehide', () => {
+  flushSave();
+  flushStorage().catch(err => console.error('Error saving state', err));
+});
+
 // ----------------------
 // Theme & Accent handling
 // ----------------------
@@ -35,31 +259,66 @@ const ACCENTS = {
   lime:     '#F2FF49'
 };
 
+/** Names of the accents, read out for the swatches. */
+const ACCENT_NAMES = {
+  black: 'Rich black',
+  lavender: 'Lavender',
+  pink: 'Bright pink',
+  blue: 'Palatinate blue',
+  purple: 'Purpureus',
+  lime: 'Lemon lime'
+};
+
 /**
- * Apply an accent colour to the document root and persist in localStorage.
+ * Apply an accent colour to the document root and persist it.
  * Also update the theme‑color meta tag for browser UI.
  * @param {string} colourKey
  */
 function setAccent(colourKey) {
   const value = ACCENTS[colourKey] || ACCENTS.black;
   document.documentElement.setAttribute('data-accent', colourKey);
-  localStorage.setItem('accent', colourKey);
+  storageSet('accent', colourKey);
   // update theme colour to accent for standalone browser UI
   if (metaTheme) metaTheme.setAttribute('content', value);
   // highlight selected swatch
   [...accentContainer.children].forEach(btn => {
     btn.classList.toggle('selected', btn.dataset.color === colourKey);
+    btn.setAttribute('aria-pressed', String(btn.dataset.color === colourKey));
   });
 }
 
 /**
- * Toggle between light and dark themes and persist to localStorage.
+ * Turn high contrast on or off and persist the choice. It overrides the
+ * accent and muted colours with plain black or white, so it works with
+ * either theme.
+ * @param {boolean} on
+ */
+function setHighContrast(on) {
+  document.documentElement.setAttribute('data-contrast', on ? 'high' : 'normal');
+  storageSet('contrast', on ? 'high' : 'normal');
+}
+
+/**
+ * Show an emoji on an icon button. The glyph is hidden from screen readers,
+ * which read the label instead; the label is also the tooltip.
+ * @param {HTMLElement} btn
+ * @param {string} glyph
+ * @param {string} label
+ */
+function setIconButton(btn, glyph, label) {
+  btn.innerHTML = `<span aria-hidden="true">${glyph}</span>`;
+  btn.setAttribute('aria-label', label);
+  btn.title = label;
+}
+
+/**
+ * Toggle between light and dark themes and persist the choice.
  */
 function toggleTheme() {
   const current = document.documentElement.getAttribute('data-theme') || 'light';
   const next = current === 'light' ? 'dark' : 'light';
   document.documentElement.setAttribute('data-theme', next);
-  localStorage.setItem('theme', next);
+  storageSet('theme', next);
   updateThemeButton(next);
 }
 
@@ -69,14 +328,16 @@ function toggleTheme() {
  */
 function updateThemeButton(theme) {
   // Use emoji for simplicity: sun for light, moon for dark
-  themeToggle.textContent = theme === 'dark' ? '🌙' : '☀️';
-  themeToggle.setAttribute('aria-label', theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme');
+  setIconButton(themeToggle, theme === 'dark' ? '🌙' : '☀️', theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme');
 }
 
-// Initialize theme and accent from stored preferences or defaults
-(function initPreferences() {
-  const storedAccent = localStorage.getItem('accent') || 'black';
-  const storedTheme = localStorage.getItem('theme') || 'light';
+/** Initialize theme and accent from stored preferences or defaults. */
+function initPreferences() {
+  const storedAccent = storageGet('accent') || 'black';
+  const storedTheme = storageGet('theme') || 'light';
+  // Until high contrast is chosen here, follow the device's contrast setting
+  const storedContrast = storageGet('contrast') ||
+    (window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches ? 'high' : 'normal');
   // Create swatch buttons in the accent container
   accentContainer.innerHTML = '';
   Object.keys(ACCENTS).forEach(key => {
@@ -84,14 +345,17 @@ function updateThemeButton(theme) {
     btn.type = 'button';
     btn.dataset.color = key;
     btn.className = 'swatch';
+    btn.setAttribute('aria-label', `${ACCENT_NAMES[key]} accent`);
+    btn.title = ACCENT_NAMES[key];
     btn.style.setProperty('--swatch-colour', ACCENTS[key]);
     btn.addEventListener('click', () => setAccent(key));
     accentContainer.appendChild(btn);
   });
   setAccent(storedAccent);
   document.documentElement.setAttribute('data-theme', storedTheme);
+  document.documentElement.setAttribute('data-contrast', storedContrast);
   updateThemeButton(storedTheme);
-})();
+}
 
 themeToggle.addEventListener('click', () => toggleTheme());
 
@@ -99,59 +363,128 @@ themeToggle.addEventListener('click', () => toggleTheme());
 // Application state
 // ----------------------
 
-/** Default state structure for the app. */
-const defaultState = {
-  cash: { quantities: {} },
-  income: {
-    cashFlowExtra: [],
-    incomeRows: [{ desc: 'Projected Sales (this week)', amount: '' }],
-    outgoingThisWeek: [
-      { desc: 'Supply Chain', amount: '' },
-      { desc: 'Rent', amount: '' },
-      { desc: 'Car', amount: '' },
-      { desc: 'Phone', amount: '' },
-      { desc: 'Utilities', amount: '' },
-      { desc: 'Other', amount: '' }
-    ],
-    outgoingNextWeek: [
-      { desc: 'Supply Chain', amount: '' },
-      { desc: 'Rent', amount: '' },
-      { desc: 'Car', amount: '' },
-      { desc: 'Phone', amount: '' },
-      { desc: 'Utilities', amount: '' },
-      { desc: 'Other', amount: '' }
-    ]
-  }
-};
+/** Prefix of the storage keys holding copies of saved states that could not be read. */
+const UNREADABLE_PREFIX = 'state-cashflow-unreadable-';
 
-let state = loadState();
+/** Saved data loadState() could not read this session: `{ key, raw, error }`, or null. */
+let unreadableState = null;
+
+// The defaults until storage has opened and the initial render loads the saved state
+let state = normalizeState(structuredClone(defaultState));
+// What was last written to storage; saveState() diffs against it to stamp changes
+let savedSnapshot = structuredClone(state);
+/** Set once the saved state is loaded; nothing syncs before then. */
+let stateLoaded = false;
 
 /**
- * Load application state from localStorage or return default state.
+ * Load application state from storage or return default state. Data that
+ * cannot be read is copied aside (see keepUnreadableState()) before the app
+ * starts from the defaults, so nothing is lost by the next save.
  * @returns {object}
  */
 function loadState() {
+  const saved = storageGet(workspaceKey('state-cashflow'));
+  try {
+    return readSavedState(saved);
+  } catch (err) {
+    console.error('Saved state could not be read', err);
+    unreadableState = keepUnreadableState(typeof saved === 'string' ? saved : JSON.stringify(saved), err);
+    return normalizeState(structuredClone(defaultState));
+  }
+}
+
+/**
+ * Copy saved data that could not be read to its own storage key.
+ * @param {string} raw
+ * @param {Error} err why it could not be read
+ * @returns {{key: (string|null), raw: string, error: string}} key is null when there was no room for the copy
+ */
+function keepUnreadableState(raw, err) {
+  const key = UNREADABLE_PREFIX + new Date().toISOString();
   try {
-    const raw = localStorage.getItem('state-cashflow');
-    if (!raw) return structuredClone(defaultState);
-    const parsed = JSON.parse(raw);
-    return Object.assign(structuredClone(defaultState), parsed);
-  } catch {
-    return structuredClone(defaultState);
+    storageSet(key, raw);
+    return { key, raw, error: err.message };
+  } catch (storeErr) {
+    console.error('Could not keep a copy of the unreadable state', storeErr);
+    return { key: null, raw, error: err.message };
+  }
+}
+
+/** How long a save waits for more edits before it runs; see saveState(). */
+const SAVE_DELAY_MS = 300;
+/** Save waiting to run: `{ field }`, the field edited when it was asked for, or null. */
+let pendingSave = null;
+
+/**
+ * Persist the current state and show saving status. Edits change only the
+ * state in memory; the save itself (see commitSave()) runs once they pause
+ * for SAVE_DELAY_MS, when the field being edited loses focus or before the
+ * page is hidden. Labelled changes, undo and redo save at once.
+ * @param {{undoLabel?: string, record?: boolean}} [options] `undoLabel` marks a
+ *   destructive change and names it in the toast offering to undo it;
+ *   `record: false` is for undo and redo themselves
+ */
+function saveState({ undoLabel = '', record = true } = {}) {
+  const immediate = Boolean(undoLabel) || !record;
+  const field = immediate || fieldValue(document.activeElement) === null ? null : document.activeElement;
+  if (pendingSave && (immediate || pendingSave.field !== field)) flushSave();
+  indicateSaving();
+  if (immediate) {
+    commitSave({ undoLabel, record });
+    return;
   }
+  pendingSave = { field };
+  clearTimeout(window.__pendingSaveTimer);
+  window.__pendingSaveTimer = setTimeout(flushSave, SAVE_DELAY_MS);
 }
 
-/** Persist the current state to localStorage and show saving status. */
-function saveState() {
+/** Run the save waiting for edits to pause, if there is one. */
+function flushSave() {
+  clearTimeout(window.__pendingSaveTimer);
+  if (!pendingSave) return;
+  const { field } = pendingSave;
+  pendingSave = null;
+  commitSave({ field });
+}
+
+/**
+ * Stamp the changes since the last save, record them as an undo step (see
+ * recordUndo()), store the state and queue a sync. The write itself is
+ * batched (see storageSet()).
+ * @param {{undoLabel?: string, record?: boolean, field?: Element}} options
+ *   as for saveState(), with the field the edits were made in
+ */
+function commitSave({ undoLabel = '', record = true, field = null }) {
   try {
-    localStorage.setItem('state-cashflow', JSON.stringify(state));
-    indicateSaving();
+    if (record) recordUndo(savedSnapshot, undoLabel, field);
+    stampChanges(savedSnapshot, state);
+    // Kept with the new time stamp, which loadUndo() checks
+    if (record) scheduleUndoPersist();
+    savedSnapshot = structuredClone(state);
+    storageSet(workspaceKey('state-cashflow'), savedSnapshot);
+    queueSync();
+    checkAlerts();
+    if (undoLabel) showToast(undoLabel, 'Undo', undo);
   } catch (err) {
     console.error('Error saving state', err);
+    clearTimeout(window.__saveTimer);
     saveStatus.textContent = 'Error saving';
   }
 }
 
+/** Changed total to read out with the next "Saved" message; see announce(). */
+let announcement = '';
+
+/**
+ * Have screen readers read out a total the last edit changed. It goes out
+ * with the "Saved" message in the live saveStatus region, once typing
+ * pauses, and is hidden from view since the total is already on the page.
+ * @param {string} text
+ */
+function announce(text) {
+  announcement = text;
+}
+
 /** Update the save badge to indicate saving or saved. */
 function indicateSaving() {
   // Show a saving indicator immediately
@@ -162,48 +495,389 @@ function indicateSaving() {
     // formatted as HH:MM based on the user’s locale.
     const now = new Date();
     const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    saveStatus.textContent = `Saved • ${timeStr}`;
+    saveStatus.innerHTML = `Saved • ${timeStr}${announcement
+      ? `<span class="visually-hidden"> • ${escapeHTML(announcement)}</span>`
+      : ''}`;
+    announcement = '';
   }, 500);
 }
 
+// ----------------------
+// Undo & redo
+// ----------------------
+
+/** Most steps kept for undo; older ones are dropped. */
+const UNDO_LIMIT = 50;
+/** How long the steps wait for more edits before being copied to sessionStorage. */
+const UNDO_PERSIST_MS = 2000;
+
+/** States to go back to, oldest first: `{ state, label }`. */
+let undoStack = [];
+/** States undone, most recently undone last. */
+let redoStack = [];
+/** Field the last step was recorded from; edits to it add to that step until it loses focus. */
+let undoField = null;
+/** Value of the focused field when it gained focus; see fieldValue(). */
+let focusValue = null;
+
+/**
+ * The text of a field the browser keeps its own undo history for, or null
+ * for anything else.
+ * @param {Element} el
+ * @returns {string|null}
+ */
+function fieldValue(el) {
+  if (el?.isContentEditable) return el.textContent;
+  return el?.matches?.('textarea, input:not([type="checkbox"], [type="radio"], [type="button"])') ? el.value : null;
+}
+
+/**
+ * Record the state before a save so it can be restored. Every edit made
+ * while one field keeps focus is undone as one step; labelled (destructive)
+ * changes always get a step of their own.
+ * @param {object} before state as last saved
+ * @param {string} label
+ * @param {Element|null} field the field edited, if the edits were typed into one
+ */
+function recordUndo(before, label, field) {
+  const last = undoStack[undoStack.length - 1];
+  const merge = field && field === undoField && last && !last.label;
+  if (!merge) {
+    if (JSON.stringify(before) === JSON.stringify(state)) return;
+    undoStack.push({ state: before, label });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  }
+  undoField = field;
+  redoStack = [];
+}
+
+/**
+ * Replace the state with an earlier or later version. Tombstones are kept so
+ * rows the restored version never had are still removed on other devices;
+ * rows it brings back are stamped as new edits by saveState().
+ * @param {object} snapshot
+ */
+function restoreState(snapshot) {
+  const next = structuredClone(snapshot);
+  next.deleted = { ...next.deleted, ...state.deleted };
+  state = next;
+  undoField = null;
+  saveState({ record: false });
+  scheduleUndoPersist();
+  setActiveRoute();
+  dispatchCashUpdate();
+}
+
+/** Go back one step. */
+function undo() {
+  flushSave();
+  const entry = undoStack.pop();
+  if (!entry) return;
+  redoStack.push({ state: structuredClone(state), label: entry.label });
+  restoreState(entry.state);
+  showToast(entry.label ? `Undone: ${entry.label}` : 'Undone', 'Redo', redo);
+}
+
+/** Reapply the step last undone. */
+function redo() {
+  flushSave();
+  const entry = redoStack.pop();
+  if (!entry) return;
+  undoStack.push({ state: structuredClone(state), label: entry.label });
+  restoreState(entry.state);
+  showToast(entry.label ? `Redone: ${entry.label}` : 'Redone', 'Undo', undo);
+}
+
+/**
+ * Forget every step, e.g. once changes from another device are merged in and
+ * going back would silently revert them.
+ */
+function clearUndo() {
+  undoStack = [];
+  redoStack = [];
+  scheduleUndoPersist();
+}
+
+/** Update the undo buttons and copy the steps to sessionStorage after UNDO_PERSIST_MS without edits. */
+function scheduleUndoPersist() {
+  updateUndoButtons();
+  clearTimeout(window.__undoTimer);
+  window.__undoTimer = setTimeout(persistUndo, UNDO_PERSIST_MS);
+}
+
+/**
+ * Keep the undo and redo steps in sessionStorage so they survive a reload of
+ * this tab. The oldest steps are dropped if storage runs out.
+ */
+function persistUndo() {
+  clearTimeout(window.__undoTimer);
+  const steps = { schemaVersion: SCHEMA_VERSION, updatedAt: state.updatedAt, undo: undoStack.slice(), redo: redoStack };
+  while (true) {
+    try {
+      sessionStorage.setItem(workspaceKey('undo-cashflow'), JSON.stringify(steps));
+      return;
+    } catch (err) {
+      if (!steps.undo.length) {
+        console.warn('Undo history not kept for this session', err);
+        return;
+      }
+      steps.undo.shift();
+    }
+  }
+}
+
+/**
+ * Restore the steps saved by persistUndo(), unless the state has changed
+ * since (another tab, or an update to the app) and they no longer apply.
+ */
+function loadUndo() {
+  try {
+    const steps = JSON.parse(sessionStorage.getItem(workspaceKey('undo-cashflow')) || 'null');
+    if (steps && steps.schemaVersion === SCHEMA_VERSION && steps.updatedAt === state.updatedAt) {
+      undoStack = steps.undo;
+      redoStack = steps.redo;
+    }
+  } catch (err) {
+    console.warn('Could not restore undo history', err);
+  }
+  updateUndoButtons();
+}
+
+/** Enable the header's undo and redo buttons when there is a step to take. */
+function updateUndoButtons() {
+  undoButton.disabled = !undoStack.length;
+  redoButton.disabled = !redoStack.length;
+}
+
+/**
+ * Show a short message at the bottom of the screen with an optional action,
+ * replacing any message already shown.
+ * @param {string} message
+ * @param {string} [actionLabel]
+ * @param {Function} [action]
+ */
+function showToast(message, actionLabel, action) {
+  document.getElementById('toast')?.remove();
+  const toast = document.createElement('div');
+  toast.id = 'toast';
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `<span>${escapeHTML(message)}</span>${actionLabel ? `<button class="text-btn" type="button">${escapeHTML(actionLabel)}</button>` : ''}`;
+  if (action) {
+    toast.querySelector('button').addEventListener('click', () => {
+      toast.remove();
+      action();
+    });
+  }
+  document.body.appendChild(toast);
+  clearTimeout(window.__toastTimer);
+  window.__toastTimer = setTimeout(() => toast.remove(), 6000);
+}
+
+undoButton.addEventListener('click', () => undo());
+redoButton.addEventListener('click', () => redo());
+document.addEventListener('focusin', (e) => {
+  focusValue = fieldValue(e.target);
+});
+document.addEventListener('focusout', () => {
+  flushSave();
+  undoField = null;
+});
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  // Typing in the focused field is the browser's to undo first
+  const value = fieldValue(e.target);
+  if (value !== null && value !== focusValue) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) undo();
+  else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+  else return;
+  e.preventDefault();
+});
+// Copy the steps before the tab is hidden or reloaded
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') persistUndo();
+});
+window.addEventListener('pagehide', () => persistUndo());
+
 // ----------------------
 // Utility functions
 // ----------------------
 
-// Denominations for notes and coins in AUD
-const NOTE_DENOMS = [100, 50, 20, 10, 5];
-const COIN_DENOMS = [2, 1, 0.5, 0.2, 0.1, 0.05];
+/**
+ * The selected currency's definition, falling back to AUD.
+ * @returns {{code: string, name: string, locale: string, notes: number[], coins: number[]}}
+ */
+function currency() {
+  return currencyFor(state.settings);
+}
+
+/** Note denominations for the selected currency. */
+function noteDenoms() {
+  return currency().notes;
+}
+
+/** Coin denominations for the selected currency. */
+function coinDenoms() {
+  return currency().coins;
+}
+
+/**
+ * Every denomination for the selected currency, notes first, with the key
+ * its count is stored under; see currencyDenoms().
+ * @returns {Array<{kind: ('note'|'coin'), value: number, key: string}>}
+ */
+function allDenoms() {
+  return currencyDenoms(currency());
+}
+
+/**
+ * How money looks in the selected currency and locale; see moneyFormatFor().
+ * @returns {{formatter: Intl.NumberFormat, decimal: string, group: string, symbols: string[]}}
+ */
+function moneyFormat() {
+  return moneyFormatFor(state.settings);
+}
+
+/**
+ * Format an amount in the selected currency and locale.
+ * @param {number} cents
+ * @returns {string}
+ */
+function formatMoney(cents) {
+  return moneyFormat().formatter.format(cents / 100);
+}
+
+/**
+ * The text shown in an amount input for a stored amount, using the selected
+ * locale's decimal separator so parseMoney() reads it back unchanged.
+ * @param {number|null} cents
+ * @returns {string}
+ */
+function moneyInputValue(cents) {
+  return centsToDecimal(cents, moneyFormat().decimal);
+}
 
 /**
- * Compute subtotals for notes and coins and overall cash total.
- * @returns {{notesSubtotal: number, coinsSubtotal: number, total: number}}
+ * The cash profile shown on the Cash page.
+ * @returns {object}
  */
-function cashTotals() {
-  const q = state.cash.quantities || {};
-  const sum = (arr) => arr.reduce((acc, d) => acc + (Number(q[String(d)] || 0) * d), 0);
-  const notesSubtotal = sum(NOTE_DENOMS);
-  const coinsSubtotal = sum(COIN_DENOMS);
-  return { notesSubtotal, coinsSubtotal, total: notesSubtotal + coinsSubtotal };
+function activeProfile() {
+  return state.cash.profiles.find(p => p.id === state.cash.active) || state.cash.profiles[0];
 }
 
 /**
  * Dispatch a custom event when cash totals change so other views can update.
  */
 function dispatchCashUpdate() {
-  const detail = cashTotals();
+  const detail = cashTotals(state.cash, currency());
   window.dispatchEvent(new CustomEvent('cash:updated', { detail }));
 }
 
 /**
- * Sum numeric amounts from an array of objects with an `amount` property.
- * @param {Array<{amount: string}>} arr
- * @returns {number}
+ * Escape a value for safe interpolation into HTML text or attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+// ----------------------
+// View helpers
+// ----------------------
+//
+// Pages render by setting appEl.innerHTML, which takes the listeners on their
+// own elements with it. Listeners a page adds anywhere else (window, document)
+// are registered with startView()'s signal so the next render removes them,
+// and lists that change often are patched in place with updateKeyed() so
+// focus, typing and scroll position survive adding and removing items.
+
+/** Aborted when the page is rendered again, removing the listeners it added outside appEl. */
+let viewController = new AbortController();
+
+/**
+ * Begin rendering a page: remove the listeners the previous page added
+ * outside appEl, and return the signal to register this page's with.
+ * setActiveRoute() calls it on every navigation.
+ * @returns {AbortSignal}
+ */
+function startView() {
+  viewController.abort();
+  viewController = new AbortController();
+  return viewController.signal;
+}
+
+/**
+ * Move focus to the page's heading, so keyboard and screen reader users
+ * start from the top of a page they navigated to. Pages that put focus in
+ * a field of their own keep it there.
+ */
+function focusHeading() {
+  const heading = appEl.querySelector('h2');
+  if (!heading || appEl.contains(document.activeElement)) return;
+  heading.setAttribute('tabindex', '-1');
+  heading.focus();
+}
+
+/**
+ * Let the arrow keys move up and down a column of inputs, as in a
+ * spreadsheet; Enter moves down too. Number inputs no longer step their
+ * value with the arrows.
+ * @param {Array<HTMLInputElement>} inputs in order
+ */
+function wireInputColumn(inputs) {
+  inputs.forEach((input, i) => {
+    input.addEventListener('keydown', (e) => {
+      const step = { ArrowUp: -1, ArrowDown: 1, Enter: 1 }[e.key];
+      if (!step || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || e.isComposing) return;
+      e.preventDefault();
+      const next = inputs[i + step];
+      if (next) {
+        next.focus();
+        next.select();
+      }
+    });
+  });
+}
+
+/**
+ * Parse markup holding a single element.
+ * @param {string} html
+ * @returns {HTMLElement}
  */
-function sumAmounts(arr) {
-  return arr.reduce((total, item) => {
-    const val = parseFloat(item.amount);
-    return total + (isFinite(val) ? val : 0);
-  }, 0);
+function htmlToElement(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html.trim();
+  return template.content.firstElementChild;
+}
+
+/**
+ * Make a container's children match a list, keyed by each element's
+ * `data-id`. Elements whose item is gone are removed and new items are built
+ * and wired; elements that stay are left alone unless the order changed.
+ * @param {HTMLElement} container holds only the keyed elements
+ * @param {Array<object>} items
+ * @param {{key: (item: object) => string, render: (item: object) => string,
+ *   wire: (el: HTMLElement) => void}} view render must put the key in `data-id`
+ */
+function updateKeyed(container, items, { key, render, wire }) {
+  const wanted = new Set(items.map(key));
+  const existing = new Map();
+  [...container.children].forEach(el => {
+    if (wanted.has(el.dataset.id)) existing.set(el.dataset.id, el);
+    else el.remove();
+  });
+  items.forEach((item, i) => {
+    let el = existing.get(key(item));
+    if (!el) {
+      el = htmlToElement(render(item));
+      wire(el);
+    }
+    if (container.children[i] !== el) container.insertBefore(el, container.children[i] || null);
+  });
 }
 
 // ----------------------
@@ -215,103 +889,372 @@ function renderHome() {
   appEl.innerHTML = `
     <h2>Welcome</h2>
     <p>Manage your cash flow, track income and expenses, and stay on top of your finances. Your data is saved locally and syncs when online.</p>
-    <button class="icon-btn" id="exportCsv" aria-label="Export CSV">⬇️</button>
+    <div class="controls">
+      <button class="icon-btn" id="exportCsv" aria-label="Export CSV" title="Export CSV"><span aria-hidden="true">⬇️</span></button>
+      <button class="icon-btn" id="exportJson" aria-label="Download JSON backup" title="Download JSON backup"><span aria-hidden="true">💾</span></button>
+      <button class="icon-btn" id="importFile" aria-label="Import CSV or JSON backup" title="Import CSV or JSON backup"><span aria-hidden="true">⬆️</span></button>
+      <input type="file" id="importInput" accept=".csv,.json,text/csv,application/json" hidden>
+    </div>
+    <div id="importPanel">${renderImportPanel()}</div>
   `;
+  wireImport();
 }
 
-/** Render the Cash Calculator page. */
+/** Render the Cash Calculator page for the active cash profile. */
 function renderCashPage() {
-  const { notesSubtotal, coinsSubtotal, total } = cashTotals();
-  const row = (d) => {
-    const qty = state.cash.quantities[String(d)] || '';
-    const lineTotal = qty ? (Number(qty) * d) : 0;
+  const profile = activeProfile();
+  const { notesSubtotal, coinsSubtotal, total, float, toBank } = profileTotals(profile, currency());
+  const row = ({ kind, value, key }) => {
+    const qty = profile.quantities[key] || '';
+    const lineTotal = qty ? (Number(qty) * denomCents(value)) : 0;
     return `
-      <div class="row" data-denom="${d}">
-        <div class="label">$${d.toFixed(2)}</div>
-        <input class="qty" type="number" min="0" step="1" inputmode="numeric" value="${qty}" aria-label="Quantity for ${d}">
-        <div class="value">$${lineTotal.toFixed(2)}</div>
+      <div class="row" data-denom="${value}" data-kind="${kind}">
+        <div class="label">${formatMoney(denomCents(value))}</div>
+        <input class="qty" type="number" min="0" step="1" inputmode="numeric" value="${escapeHTML(qty)}" aria-label="Number of ${formatMoney(denomCents(value))} ${kind}s">
+        <div class="value">${formatMoney(lineTotal)}</div>
       </div>
     `;
   };
+  const tabs = state.cash.profiles.map(p => `
+    <button class="nav-btn profile-tab" data-profile="${escapeHTML(p.id)}" aria-pressed="${p === profile}"${p === profile ? ' aria-current="page"' : ''}>${escapeHTML(p.name || 'Unnamed')}</button>
+  `).join('');
   appEl.innerHTML = `
     <h2>Cash Calculator</h2>
+    <div class="profile-tabs">
+      ${tabs}
+      <button class="text-btn add-line" id="addProfile" aria-label="Add cash profile">+</button>
+    </div>
+    <section class="section">
+      <header>
+        <h3>Profile</h3>
+        <div class="controls">
+          ${state.cash.profiles.length > 1 ? '<button class="text-btn" id="removeProfile">Remove</button>' : ''}
+        </div>
+      </header>
+      <div class="row setting-row"><label class="label" for="profileName">Name</label><input class="desc" id="profileName" value="${escapeHTML(profile.name)}"></div>
+      <div class="row setting-row"><label class="label" for="profileFloat">Float to keep</label><input class="amount" id="profileFloat" type="text" inputmode="decimal" placeholder="0${moneyFormat().decimal}00" value="${moneyInputValue(profile.floatCents)}"></div>
+    </section>
     <section class="section">
       <h3>Notes</h3>
-      ${NOTE_DENOMS.map(row).join('')}
-      <div class="row subtotals"><div></div><div class="label">Subtotal</div><div class="value" id="notesSubtotal">$${notesSubtotal.toFixed(2)}</div></div>
+      ${allDenoms().filter(d => d.kind === 'note').map(row).join('')}
+      <div class="row subtotals"><div></div><div class="label">Subtotal</div><div class="value" id="notesSubtotal">${formatMoney(notesSubtotal)}</div></div>
     </section>
     <section class="section">
       <h3>Coins</h3>
-      ${COIN_DENOMS.map(row).join('')}
-      <div class="row subtotals"><div></div><div class="label">Subtotal</div><div class="value" id="coinsSubtotal">$${coinsSubtotal.toFixed(2)}</div></div>
+      ${allDenoms().filter(d => d.kind === 'coin').map(row).join('')}
+      <div class="row subtotals"><div></div><div class="label">Subtotal</div><div class="value" id="coinsSubtotal">${formatMoney(coinsSubtotal)}</div></div>
+    </section>
+    <section class="section">
+      <div class="row subtotals"><div></div><div class="label">Total Cash</div><div class="value" id="cashTotal">${formatMoney(total)}</div></div>
+      <div class="row"><div></div><div class="label">Float</div><div class="value" id="floatValue">${formatMoney(float ? -float : 0)}</div></div>
+      <div class="row"><div></div><div class="label">Cash to bank</div><div class="value" id="toBank">${formatMoney(toBank)}</div></div>
     </section>
     <section class="section">
-      <div class="row subtotals"><div></div><div class="label">Total Cash</div><div class="value" id="cashTotal">$${total.toFixed(2)}</div></div>
+      <h3>All profiles</h3>
+      <div id="profileSummary">${profileSummaryHTML()}</div>
     </section>
     <div class="controls mt">
-      <button class="icon-btn" id="clearCash" aria-label="Clear all quantities">🗑️</button>
+      <button class="icon-btn" id="clearCash" aria-label="Clear all quantities" title="Clear all quantities"><span aria-hidden="true">🗑️</span></button>
+      <a class="text-btn" href="#/report">Cash-up report</a>
     </div>
   `;
+  // Refresh every figure after a count or float changes
+  const updateFigures = () => {
+    const totals = profileTotals(profile, currency());
+    appEl.querySelector('#notesSubtotal').textContent = formatMoney(totals.notesSubtotal);
+    appEl.querySelector('#coinsSubtotal').textContent = formatMoney(totals.coinsSubtotal);
+    appEl.querySelector('#cashTotal').textContent = formatMoney(totals.total);
+    appEl.querySelector('#floatValue').textContent = formatMoney(totals.float ? -totals.float : 0);
+    appEl.querySelector('#toBank').textContent = formatMoney(totals.toBank);
+    appEl.querySelector('#profileSummary').innerHTML = profileSummaryHTML();
+    announce(`Total cash ${formatMoney(totals.total)}, cash to bank ${formatMoney(totals.toBank)}`);
+    dispatchCashUpdate();
+  };
   // Wire quantity inputs
   appEl.querySelectorAll('input.qty').forEach(input => {
     input.addEventListener('input', () => {
-      const denom = Number(input.closest('.row').dataset.denom);
-      state.cash.quantities[String(denom)] = input.value === '' ? '' : Math.max(0, Math.floor(Number(input.value)));
+      const { denom, kind } = input.closest('.row').dataset;
+      const key = denomKey(kind, Number(denom));
+      profile.quantities[key] = input.value === '' ? '' : Math.max(0, Math.floor(Number(input.value)));
       saveState();
       // Update line and subtotals
-      const qtyVal = Number(state.cash.quantities[String(denom)] || 0);
-      input.closest('.row').querySelector('.value').textContent = '$' + (qtyVal * denom).toFixed(2);
-      const totals = cashTotals();
-      appEl.querySelector('#notesSubtotal').textContent = '$' + totals.notesSubtotal.toFixed(2);
-      appEl.querySelector('#coinsSubtotal').textContent = '$' + totals.coinsSubtotal.toFixed(2);
-      appEl.querySelector('#cashTotal').textContent = '$' + totals.total.toFixed(2);
-      dispatchCashUpdate();
+      const qtyVal = Number(profile.quantities[key] || 0);
+      input.closest('.row').querySelector('.value').textContent = formatMoney(qtyVal * denomCents(Number(denom)));
+      updateFigures();
+    });
+  });
+  wireInputColumn([...appEl.querySelectorAll('input.qty')]);
+  const nameInput = document.getElementById('profileName');
+  nameInput.addEventListener('input', () => {
+    profile.name = nameInput.value;
+    saveState();
+    [...appEl.querySelectorAll('.profile-tab')].find(tab => tab.dataset.profile === profile.id).textContent = profile.name || 'Unnamed';
+    appEl.querySelector('#profileSummary').innerHTML = profileSummaryHTML();
+  });
+  wireMoneyInput(document.getElementById('profileFloat'), (cents) => {
+    profile.floatCents = cents;
+    saveState();
+    updateFigures();
+  }, { allowNegative: false });
+  appEl.querySelectorAll('.profile-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      state.cash.active = tab.dataset.profile;
+      saveState();
+      renderCashPage();
     });
   });
+  document.getElementById('addProfile').addEventListener('click', () => {
+    const created = { id: newId(), name: `Profile ${state.cash.profiles.length + 1}`, floatCents: null, quantities: {} };
+    state.cash.profiles.push(created);
+    state.cash.active = created.id;
+    saveState();
+    renderCashPage();
+  });
+  const removeBtn = document.getElementById('removeProfile');
+  if (removeBtn) removeBtn.addEventListener('click', () => {
+    state.cash.profiles = state.cash.profiles.filter(p => p !== profile);
+    state.cash.active = state.cash.profiles[0].id;
+    saveState({ undoLabel: `Removed ${profile.name || 'profile'}` });
+    renderCashPage();
+    dispatchCashUpdate();
+  });
   // Clear button
   const clearBtn = document.getElementById('clearCash');
   clearBtn.addEventListener('click', () => {
-    NOTE_DENOMS.concat(COIN_DENOMS).forEach(d => state.cash.quantities[String(d)] = '');
-    saveState();
+    allDenoms().forEach(d => profile.quantities[d.key] = '');
+    saveState({ undoLabel: 'Cleared cash count' });
     renderCashPage();
     dispatchCashUpdate();
   });
 }
 
-/** Render the Income & Expenses page. */
-function renderIncomePage() {
-  const totals = cashTotals();
-  // Build rows for a given section
-  function buildRows(arr, sectionKey) {
-    return arr.map((row, idx) => `
-      <div class="row" data-section="${sectionKey}" data-index="${idx}">
-        <input class="desc" placeholder="Description" value="${row.desc || ''}">
-        <input class="amount" type="number" step="0.01" inputmode="decimal" placeholder="Amount" value="${row.amount || ''}">
-        <!-- Use a lightweight text button with a simple × glyph for row removal -->
-        <button class="text-btn remove-row" aria-label="Remove row">×</button>
-      </div>
-    `).join('');
-  }
-  appEl.innerHTML = `
-    <h2>Income &amp; Expenses</h2>
-    <section class="section">
-      <header>
-        <h3>Cash Flow</h3>
-        <div class="controls">
-          <!-- Use text buttons for adding lines to reduce visual weight -->
-          <button class="text-btn add-line" data-action="cashflow" aria-label="Add cash flow line">+</button>
-          <button class="text-btn clear-section" data-action="cashflow">Clear</button>
-        </div>
-      </header>
-      <!-- Display note and coin subtotals. Place the value in the second column for better alignment -->
+/**
+ * Build the per-profile and combined totals shown under "All profiles".
+ * @param {object} [cash]
+ * @returns {string}
+ */
+function profileSummaryHTML(cash = state.cash) {
+  const totals = cashTotals(cash, currency());
+  return `
+    ${totals.profiles.map(p => `
+      <div class="summary-row"><span>${escapeHTML(p.name || 'Unnamed')}</span><span class="value">${formatMoney(p.total)} • to bank ${formatMoney(p.toBank)}</span></div>
+    `).join('')}
+    <div class="summary-row total"><span>Combined</span><span class="value">${formatMoney(totals.total)} • to bank ${formatMoney(totals.toBank)}</span></div>
+  `;
+}
+
+/**
+ * Check an amount input as the user types. Valid entries are passed to
+ * `onChange` in cents (null when blank); anything else is flagged and left
+ * unsaved. When the field is left, the text is rewritten in the standard
+ * form and a note under the row explains a rejection, rounding or dropped
+ * currency symbol.
+ * @param {HTMLInputElement} input
+ * @param {(cents: (number|null)) => void} onChange
+ * @param {{allowNegative?: boolean}} [options]
+ */
+function wireMoneyInput(input, onChange, { allowNegative = true } = {}) {
+  const check = () => {
+    const result = parseMoney(input.value, moneyFormat());
+    if (!result.error && !allowNegative && result.cents < 0) return { cents: null, error: 'Enter an amount of zero or more.' };
+    return result;
+  };
+  input.addEventListener('input', () => {
+    const result = check();
+    if (result.error) {
+      input.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    input.removeAttribute('aria-invalid');
+    onChange(result.cents);
+  });
+  input.addEventListener('change', () => {
+    const result = check();
+    if (!result.error) input.value = moneyInputValue(result.cents);
+    showInputNote(input, result.error || result.note || '', !!result.error);
+  });
+}
+
+/**
+ * Show or clear a short message under the row holding `input`.
+ * @param {HTMLInputElement} input
+ * @param {string} text empty to clear
+ * @param {boolean} isError
+ */
+function showInputNote(input, text, isError) {
+  const rowEl = input.closest('.row, .recurring-item') || input;
+  let note = rowEl.nextElementSibling;
+  if (!note || !note.classList.contains('input-note')) {
+    if (!text) return;
+    note = document.createElement('p');
+    note.id = `note-${newId()}`;
+    note.className = 'input-note';
+    rowEl.after(note);
+  }
+  if (!text) {
+    note.remove();
+    input.removeAttribute('aria-describedby');
+    return;
+  }
+  note.textContent = text;
+  note.classList.toggle('negative', isError);
+  note.setAttribute('role', isError ? 'alert' : 'status');
+  input.setAttribute('aria-describedby', note.id);
+}
+
+/**
+ * Build editable rows for a list of line items, in a container that
+ * updateLineItems() keeps in step with the list.
+ * @param {Array<{id: string, desc: string, cents: (number|null), category?: string, tags?: Array<string>}>} arr
+ * @param {string} sectionKey identifies the list to the handlers in wireLineItems()
+ * @returns {string}
+ */
+function buildRows(arr, sectionKey) {
+  return `<div class="line-items" data-rows="${sectionKey}">${arr.map(row => lineItemHTML(row, sectionKey)).join('')}</div>`;
+}
+
+/**
+ * Build one editable line item, keyed by the row's id.
+ * @param {{id: string, desc: string, cents: (number|null), category?: string, tags?: Array<string>}} row
+ * @param {string} sectionKey
+ * @returns {string}
+ */
+function lineItemHTML(row, sectionKey) {
+  return `
+    <div class="row categorised" data-section="${sectionKey}" data-id="${escapeHTML(row.id)}">
+      <input class="desc" placeholder="Description" value="${escapeHTML(row.desc || '')}">
+      <select class="category" aria-label="Category">${categoryOptionsHTML(rowKind(sectionKey), row.category)}</select>
+      <input class="tags" placeholder="Tags" value="${escapeHTML((row.tags || []).join(', '))}" aria-label="Tags, separated by commas">
+      ${taxApplies(sectionKey) ? taxFlagHTML(row.tax) : '<span></span>'}
+      <input class="amount" type="text" inputmode="decimal" placeholder="Amount" value="${moneyInputValue(row.cents)}">
+      <!-- Use a lightweight text button with a simple × glyph for row removal -->
+      <button class="text-btn remove-row" aria-label="Remove ${escapeHTML(row.desc || 'row')}">×</button>
+    </div>
+  `;
+}
+
+/**
+ * Name of the section a button sits in, for messages about it.
+ * @param {HTMLElement} btn
+ * @returns {string}
+ */
+function sectionTitle(btn) {
+  return btn.closest('.section').querySelector('h3').textContent;
+}
+
+/**
+ * Hook up every row built by buildRows() on the page.
+ * @param {(sectionKey: string) => Array<{id: string, desc: string, cents: (number|null)}>} getRows
+ *   resolves a row's section key to the list backing it
+ */
+function wireLineItems(getRows) {
+  appEl.querySelectorAll('.line-items > .row').forEach(rowEl => wireLineItem(rowEl, getRows));
+}
+
+/**
+ * Hook up the inputs and remove button of one row. Handlers find the row by
+ * id when they run, so they stay correct as rows around it come and go.
+ * @param {HTMLElement} rowEl
+ * @param {Function} getRows see wireLineItems()
+ */
+function wireLineItem(rowEl, getRows) {
+  const sectionKey = rowEl.dataset.section;
+  const row = () => getRows(sectionKey).find(r => r.id === rowEl.dataset.id);
+  const edit = (change) => {
+    const item = row();
+    if (!item) return;
+    change(item);
+    saveState();
+  };
+  const descInput = rowEl.querySelector('input.desc');
+  const categorySelect = rowEl.querySelector('select.category');
+  const tagsInput = rowEl.querySelector('input.tags');
+  const removeBtn = rowEl.querySelector('button.remove-row');
+  descInput.addEventListener('input', () => {
+    edit(item => { item.desc = descInput.value; });
+    removeBtn.setAttribute('aria-label', `Remove ${descInput.value || 'row'}`);
+  });
+  categorySelect.addEventListener('change', () => edit(item => { item.category = categorySelect.value; }));
+  tagsInput.addEventListener('input', () => edit(item => { item.tags = parseTags(tagsInput.value); }));
+  const taxInput = rowEl.querySelector('input.tax');
+  if (taxInput) taxInput.addEventListener('change', () => edit(item => { item.tax = taxInput.checked ? 'inclusive' : 'exempt'; }));
+  wireMoneyInput(rowEl.querySelector('input.amount'), (cents) => {
+    edit(item => { item.cents = cents; });
+    const { thisRemaining, nextRemaining } = summaryTotals(state, currency());
+    announce(`Remaining ${formatMoney(thisRemaining)} this week, ${formatMoney(nextRemaining)} next week`);
+  });
+  // Enter adds a row below the last and moves to it, to type a list without the mouse
+  rowEl.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT' || e.shiftKey || e.isComposing) return;
+    e.preventDefault();
+    // Let the amount tidy itself up, as it does when left
+    e.target.dispatchEvent(new Event('change'));
+    addLineItem(sectionKey, getRows);
+  });
+  removeBtn.addEventListener('click', () => {
+    const rows = getRows(sectionKey);
+    const item = row();
+    if (!item) return;
+    const container = rowEl.parentElement;
+    rows.splice(rows.indexOf(item), 1);
+    saveState({ undoLabel: 'Removed row' });
+    updateLineItems(container, getRows);
+  });
+}
+
+/**
+ * Bring a container from buildRows() in line with its list after rows were
+ * added, removed or replaced, leaving the other rows as they are.
+ * @param {HTMLElement} container
+ * @param {Function} getRows see wireLineItems()
+ */
+function updateLineItems(container, getRows) {
+  const sectionKey = container.dataset.rows;
+  updateKeyed(container, getRows(sectionKey), {
+    key: row => row.id,
+    render: row => lineItemHTML(row, sectionKey),
+    wire: rowEl => wireLineItem(rowEl, getRows)
+  });
+}
+
+/**
+ * Add an empty row to a list and focus its description.
+ * @param {string} sectionKey
+ * @param {Function} getRows see wireLineItems()
+ */
+function addLineItem(sectionKey, getRows) {
+  // The id is given now: the save that would give it one waits for typing to pause
+  getRows(sectionKey).push({ id: newId(), desc: '', cents: null, tax: taxApplies(sectionKey) ? 'inclusive' : 'exempt' });
+  saveState();
+  const container = appEl.querySelector(`.line-items[data-rows="${sectionKey}"]`);
+  updateLineItems(container, getRows);
+  container.lastElementChild.querySelector('input.desc').focus();
+}
+
+/** Render the Income & Expenses page. */
+function renderIncomePage() {
+  const totals = cashTotals(state.cash, currency());
+  appEl.innerHTML = `
+    <h2>Income &amp; Expenses</h2>
+    <p class="label"><a class="text-btn" href="#/recurring">Recurring items ↻</a> • <a class="text-btn" href="#/sales">Daily sales</a> • <a class="text-btn" href="#/reconcile">Reconcile with bank</a></p>
+    <section class="section">
+      <header>
+        <h3>Cash Flow</h3>
+        <div class="controls">
+          <!-- Use text buttons for adding lines to reduce visual weight -->
+          <button class="text-btn add-line" data-action="cashflow" aria-label="Add cash flow line">+</button>
+          <button class="text-btn clear-section" data-action="cashflow">Clear</button>
+        </div>
+      </header>
+      <!-- Display note and coin subtotals. Place the value in the second column for better alignment -->
       <div class="row no-remove">
         <div class="badge-inline">Notes</div>
-        <div class="value">$${totals.notesSubtotal.toFixed(2)}</div>
+        <div class="value" id="incomeNotes">${formatMoney(totals.notesSubtotal)}</div>
         <div></div>
       </div>
       <div class="row no-remove">
         <div class="badge-inline">Coins</div>
-        <div class="value">$${totals.coinsSubtotal.toFixed(2)}</div>
+        <div class="value" id="incomeCoins">${formatMoney(totals.coinsSubtotal)}</div>
         <div></div>
       </div>
       ${buildRows(state.income.cashFlowExtra, 'cashFlowExtra')}
@@ -326,6 +1269,8 @@ function renderIncomePage() {
         </div>
       </header>
       ${buildRows(state.income.incomeRows, 'incomeRows')}
+      ${buildRecurringRows('income', state.weekStart)}
+      ${salesNoteHTML()}
     </section>
 
     <section class="section">
@@ -337,6 +1282,19 @@ function renderIncomePage() {
         </div>
       </header>
       ${buildRows(state.income.outgoingThisWeek, 'outgoingThisWeek')}
+      ${buildRecurringRows('outgoing', state.weekStart)}
+    </section>
+
+    <section class="section">
+      <header>
+        <h3>Income – Next week</h3>
+        <div class="controls">
+          <button class="text-btn add-line" data-action="income-next" aria-label="Add next week income line">+</button>
+          <button class="text-btn clear-section" data-action="income-next">Clear</button>
+        </div>
+      </header>
+      ${buildRows(state.income.incomeNextWeek, 'incomeNextWeek')}
+      ${buildRecurringRows('income', addDaysISO(state.weekStart, 7))}
     </section>
 
     <section class="section">
@@ -348,219 +1306,3559 @@ function renderIncomePage() {
         </div>
       </header>
       ${buildRows(state.income.outgoingNextWeek, 'outgoingNextWeek')}
+      ${buildRecurringRows('outgoing', addDaysISO(state.weekStart, 7))}
     </section>
   `;
-  // Hook up add buttons
+  // Section each add and clear button acts on
+  const sections = {
+    cashflow: 'cashFlowExtra',
+    income: 'incomeRows',
+    'out-this': 'outgoingThisWeek',
+    'out-next': 'outgoingNextWeek',
+    'income-next': 'incomeNextWeek'
+  };
+  const getRows = key => state.income[key];
   appEl.querySelectorAll('button.add-line').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const action = btn.dataset.action;
-      if (action === 'cashflow') state.income.cashFlowExtra.push({ desc: '', amount: '' });
-      if (action === 'income')   state.income.incomeRows.push({ desc: '', amount: '' });
-      if (action === 'out-this') state.income.outgoingThisWeek.push({ desc: '', amount: '' });
-      if (action === 'out-next') state.income.outgoingNextWeek.push({ desc: '', amount: '' });
-      saveState();
-      renderIncomePage();
-    });
+    btn.addEventListener('click', () => addLineItem(sections[btn.dataset.action], getRows));
   });
-  // Hook up clear section buttons
+  // Clearing restores the default rows; cash flow has none
   appEl.querySelectorAll('button.clear-section').forEach(btn => {
     btn.addEventListener('click', () => {
-      const action = btn.dataset.action;
-      if (action === 'cashflow') {
-        state.income.cashFlowExtra = [];
-      }
-      if (action === 'income') {
-        state.income.incomeRows = [{ desc: 'Projected Sales (this week)', amount: '' }];
-      }
-      if (action === 'out-this') {
-        state.income.outgoingThisWeek = defaultState.income.outgoingThisWeek.map(row => ({ ...row }));
-      }
-      if (action === 'out-next') {
-        state.income.outgoingNextWeek = defaultState.income.outgoingNextWeek.map(row => ({ ...row }));
-      }
-      saveState();
-      renderIncomePage();
-    });
-  });
-  // Hook up remove buttons
-  appEl.querySelectorAll('button.remove-row').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const rowEl = btn.closest('.row');
-      const sectionKey = rowEl.dataset.section;
-      const idx = Number(rowEl.dataset.index);
-      if (Array.isArray(state.income[sectionKey])) {
-        state.income[sectionKey].splice(idx, 1);
-        saveState();
-        renderIncomePage();
-      }
-    });
-  });
-  // Hook up input updates
-  appEl.querySelectorAll('.row').forEach(row => {
-    const sectionKey = row.dataset.section;
-    const idx = Number(row.dataset.index);
-    if (!sectionKey) return;
-    const descInput = row.querySelector('input.desc');
-    const amtInput = row.querySelector('input.amount');
-    if (descInput) descInput.addEventListener('input', () => {
-      state.income[sectionKey][idx].desc = descInput.value;
-      saveState();
-    });
-    if (amtInput) amtInput.addEventListener('input', () => {
-      state.income[sectionKey][idx].amount = amtInput.value;
-      saveState();
+      const key = sections[btn.dataset.action];
+      state.income[key] = key === 'cashFlowExtra' ? [] : defaultState.income[key].map(row => ({ ...row }));
+      saveState({ undoLabel: `Cleared ${sectionTitle(btn)}` });
+      updateLineItems(appEl.querySelector(`.line-items[data-rows="${key}"]`), getRows);
     });
   });
-  // Update notes/coins totals when cash changes
-  const updateCashTotals = () => {
-    const totals = cashTotals();
-    appEl.querySelectorAll('.section .row .badge-inline').forEach((badge, index) => {
-      // nothing to update here; totals are displayed separately below
-    });
-    const noteVal = appEl.querySelectorAll('.section .row .value')[0];
-    const coinVal = appEl.querySelectorAll('.section .row .value')[1];
-    if (noteVal) noteVal.textContent = '$' + totals.notesSubtotal.toFixed(2);
-    if (coinVal) coinVal.textContent = '$' + totals.coinsSubtotal.toFixed(2);
-  };
-  window.addEventListener('cash:updated', updateCashTotals);
+  wireLineItems(getRows);
+  wireRecurringRows(renderIncomePage);
+  // Update notes/coins totals when cash changes, until the next render
+  window.addEventListener('cash:updated', () => {
+    const { notesSubtotal, coinsSubtotal } = cashTotals(state.cash, currency());
+    document.getElementById('incomeNotes').textContent = formatMoney(notesSubtotal);
+    document.getElementById('incomeCoins').textContent = formatMoney(coinsSubtotal);
+  }, { signal: startView() });
 }
 
-/** Render the summary page showing this week and next week balances. */
-function renderSummary() {
-  const cash = cashTotals();
-  const incomeTotal = sumAmounts(state.income.incomeRows);
-  const expThis = sumAmounts(state.income.outgoingThisWeek);
-  const expNext = sumAmounts(state.income.outgoingNextWeek);
-  // This week's remaining after cash + income - expenses
-  const thisRemaining = cash.total + incomeTotal - expThis;
-  // Next week's starting cash = thisRemaining
-  const nextStart = thisRemaining;
-  const nextRemaining = nextStart + incomeTotal - expNext;
-  // Helper to format currency and mark negatives with a class
-  const fmt = (n) => {
-    const val = n.toFixed(2);
-    const cls = n < 0 ? 'negative' : '';
-    return `<span class="value ${cls}">$${val}</span>`;
-  };
-  appEl.innerHTML = `
-    <h2>Summary</h2>
+/**
+ * Format a number as a value span, marking negatives with a class.
+ * @param {number} n
+ * @returns {string}
+ */
+function valueHTML(n) {
+  const cls = n < 0 ? 'negative' : '';
+  return `<span class="value ${cls}">${formatMoney(n)}</span>`;
+}
+
+/**
+ * Build the two-column this week / next week balance grid.
+ * @param {ReturnType<typeof summaryTotals>} totals
+ * @returns {string}
+ */
+function summaryGridHTML(totals) {
+  const { openingCash, cashTotal, incomeTotal, expThis, incomeNext, expNext, thisRemaining, nextStart, nextRemaining } = totals;
+  return `
     <div class="summary-grid">
       <div class="summary-col">
         <h3>This Week</h3>
-        <div class="summary-row"><span>Cash on hand</span>${fmt(cash.total)}</div>
-        <div class="summary-row"><span>Income</span>${fmt(incomeTotal)}</div>
-        <div class="summary-row"><span>Expenses</span>${fmt(-expThis)}</div>
-        <div class="summary-row total"><span>Remaining</span>${fmt(thisRemaining)}</div>
+        ${openingCash ? `<div class="summary-row"><span>Opening balance</span>${valueHTML(openingCash)}</div>` : ''}
+        <div class="summary-row"><span>Cash on hand</span>${valueHTML(cashTotal)}</div>
+        <div class="summary-row"><span>Income</span>${valueHTML(incomeTotal)}</div>
+        <div class="summary-row"><span>Expenses</span>${valueHTML(-expThis)}</div>
+        <div class="summary-row total"><span>Remaining</span>${valueHTML(thisRemaining)}</div>
       </div>
       <div class="summary-col">
         <h3>Next Week</h3>
-        <div class="summary-row"><span>Cash on hand</span>${fmt(nextStart)}</div>
-        <div class="summary-row"><span>Income</span>${fmt(incomeTotal)}</div>
-        <div class="summary-row"><span>Expenses</span>${fmt(-expNext)}</div>
-        <div class="summary-row total"><span>Remaining</span>${fmt(nextRemaining)}</div>
+        <div class="summary-row"><span>Cash on hand</span>${valueHTML(nextStart)}</div>
+        <div class="summary-row"><span>Income</span>${valueHTML(incomeNext)}</div>
+        <div class="summary-row"><span>Expenses</span>${valueHTML(-expNext)}</div>
+        <div class="summary-row total"><span>Remaining</span>${valueHTML(nextRemaining)}</div>
       </div>
     </div>
   `;
 }
 
-// ----------------------
-// Router
-// ----------------------
-
-const navLinks = [...document.querySelectorAll('[data-route]')];
+/**
+ * Build one column of the Summary forecast.
+ * @param {ReturnType<typeof forecastWeeks>[number]} week
+ * @param {boolean} shortfall whether this is the first week to go negative
+ * @param {boolean} [editable] link to the week's editor; off for shared snapshots
+ * @returns {string}
+ */
+function forecastColumnHTML(week, shortfall, editable = true) {
+  const title = week.number === 1 ? 'This Week' : week.number === 2 ? 'Next Week' : `Week ${week.number}`;
+  const editHref = week.number <= 2 ? '#/income' : `#/forecast/${week.number}`;
+  const opening = week.number === 1
+    ? `${week.openingCash ? `<div class="summary-row"><span>Opening balance</span>${valueHTML(week.openingCash)}</div>` : ''}
+       <div class="summary-row"><span>Cash on hand</span>${valueHTML(week.cashTotal)}</div>`
+    : `<div class="summary-row"><span>Cash on hand</span>${valueHTML(week.start)}</div>`;
+  return `
+    <div class="summary-col${shortfall ? ' shortfall' : ''}">
+      <h3>${title}</h3>
+      <p class="label">${weekLabel(week.weekStart)}${editable ? ` • <a class="text-btn" href="${editHref}">Edit</a>` : ''}</p>
+      ${opening}
+      <div class="summary-row"><span>Income</span>${valueHTML(week.income)}</div>
+      <div class="summary-row"><span>Expenses</span>${valueHTML(-week.expenses)}</div>
+      <div class="summary-row total"><span>Remaining</span>${valueHTML(week.remaining)}</div>
+    </div>
+  `;
+}
 
-/** Activate the correct nav item and render the matching page. */
-function setActiveRoute() {
-  const hash = location.hash || '#/';
-  navLinks.forEach(a => {
-    const route = '#' + a.dataset.route;
-    const active = hash.startsWith(route);
-    a.classList.toggle('active', active);
-    a.setAttribute('aria-current', active ? 'page' : 'false');
+/** Render the summary page with the rolling multi-week forecast. */
+function renderSummary() {
+  const weeks = forecastWeeks(state, currency());
+  const horizon = forecastHorizon(state);
+  const shortfall = weeks.find(week => week.remaining < 0);
+  // Cash counted at the last close, which closeWeek() kept out of the opening balance
+  const lastWeek = state.history.find(week => week.weekStart === addDaysISO(state.weekStart, -7));
+  const leftOut = lastWeek ? summaryTotals(lastWeek, currency()).cashTotal : 0;
+  const options = [];
+  for (let n = MIN_FORECAST_WEEKS; n <= MAX_FORECAST_WEEKS; n++) {
+    options.push(`<option value="${n}"${n === horizon ? ' selected' : ''}>${n} weeks</option>`);
+  }
+  appEl.innerHTML = `
+    <h2>Summary</h2>
+    <div class="controls">
+      <label class="label" for="forecastWeeks">Forecast</label>
+      <select id="forecastWeeks" class="setting">${options.join('')}</select>
+    </div>
+    ${shortfall
+      ? `<p class="negative" role="alert">Balance goes negative in the week of ${formatDateISO(shortfall.weekStart)}.</p>`
+      : ''}
+    <div class="summary-grid">
+      ${weeks.map(week => forecastColumnHTML(week, week === shortfall)).join('')}
+    </div>
+    ${leftOut && !weeks[0].cashTotal
+      ? `<p class="label">The opening balance leaves out the ${formatMoney(leftOut)} of cash counted when last week was closed, which is counted again this week. <a class="text-btn" href="#/cash">Count cash</a></p>`
+      : ''}
+    <div class="controls mt">
+      <button class="text-btn" id="closeWeek">Close week</button>
+      <button class="text-btn" id="shareWeek">Share</button>
+    </div>
+    <div id="shareLink"></div>
+    ${salesSummaryHTML(state, { suggest: true })}
+    ${taxSummaryHTML()}
+    ${varianceHTML()}
+    ${summaryBreakdownHTML()}
+  `;
+  document.getElementById('forecastWeeks').addEventListener('change', (e) => {
+    state.settings.forecastWeeks = Number(e.target.value);
+    saveState();
+    renderSummary();
+  });
+  document.getElementById('breakdownKind').addEventListener('change', (e) => {
+    breakdownView.kind = e.target.value;
+    renderSummary();
+  });
+  document.getElementById('breakdownPeriod').addEventListener('change', (e) => {
+    breakdownView.period = e.target.value;
+    renderSummary();
+  });
+  document.getElementById('shareWeek').addEventListener('click', () => shareWeek());
+  const useSales = document.getElementById('useSuggestedSales');
+  if (useSales) useSales.addEventListener('click', () => {
+    useSuggestedSales(suggestedSales(state).cents);
+    renderSummary();
+  });
+  document.getElementById('closeWeek').addEventListener('click', () => {
+    if (!confirm(`Close the week of ${formatDateISO(state.weekStart)}? It will be archived in History and next week becomes this week. The cash counted now is not carried into the opening balance: count it again next week.`)) return;
+    closeWeek();
+    location.hash = '#/history';
   });
-  const route = hash.replace('#', '');
-  if (route === '/cash') return renderCashPage();
-  if (route === '/income') return renderIncomePage();
-  if (route === '/summary') return renderSummary();
-  return renderHome();
 }
-window.addEventListener('hashchange', setActiveRoute);
 
-// initial render
-setActiveRoute();
+/**
+ * Render the editor for a forecast week beyond next week.
+ * @param {number} number week number in the forecast, this week being 1
+ */
+function renderForecastWeek(number) {
+  const horizon = forecastHorizon(state);
+  if (!Number.isInteger(number) || number < 3 || number > horizon) {
+    appEl.innerHTML = `<h2>Forecast</h2><p>That week is outside the forecast.</p><a class="text-btn" href="#/summary">Back to summary</a>`;
+    return;
+  }
+  while (state.futureWeeks.length < number - 2) state.futureWeeks.push(newForecastWeek());
+  const getRows = (key) => state.futureWeeks[number - 3][key];
+  const weekStart = addDaysISO(state.weekStart, 7 * (number - 1));
+  const prev = number === 3 ? '#/income' : `#/forecast/${number - 1}`;
+  appEl.innerHTML = `
+    <h2>Week ${number}</h2>
+    <p class="label">${weekLabel(weekStart)} • <a class="text-btn" href="#/summary">Back to summary</a></p>
+    <section class="section">
+      <header>
+        <h3>Income</h3>
+        <div class="controls">
+          <button class="text-btn add-line" data-action="incomeRows" aria-label="Add income line">+</button>
+          <button class="text-btn clear-section" data-action="incomeRows">Clear</button>
+        </div>
+      </header>
+      ${buildRows(getRows('incomeRows'), 'incomeRows')}
+      ${buildRecurringRows('income', weekStart)}
+    </section>
+    <section class="section">
+      <header>
+        <h3>Outgoing</h3>
+        <div class="controls">
+          <button class="text-btn add-line" data-action="outgoingRows" aria-label="Add outgoing line">+</button>
+          <button class="text-btn clear-section" data-action="outgoingRows">Clear</button>
+        </div>
+      </header>
+      ${buildRows(getRows('outgoingRows'), 'outgoingRows')}
+      ${buildRecurringRows('outgoing', weekStart)}
+    </section>
+    <div class="controls mt">
+      <a class="text-btn" href="${prev}">← Previous week</a>
+      ${number < horizon ? `<a class="text-btn" href="#/forecast/${number + 1}">Next week →</a>` : ''}
+    </div>
+  `;
+  const rerender = () => renderForecastWeek(number);
+  appEl.querySelectorAll('button.add-line').forEach(btn => {
+    btn.addEventListener('click', () => addLineItem(btn.dataset.action, getRows));
+  });
+  appEl.querySelectorAll('button.clear-section').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = btn.dataset.action;
+      state.futureWeeks[number - 3][key] = newForecastWeek()[key];
+      saveState({ undoLabel: `Cleared ${sectionTitle(btn)}` });
+      updateLineItems(appEl.querySelector(`.line-items[data-rows="${key}"]`), getRows);
+    });
+  });
+  wireLineItems(getRows);
+  wireRecurringRows(rerender);
+}
 
-// ----------------------
-// CSV Export (demo)
-// ----------------------
-function exportCSV() {
-  // This is a demonstration of exporting dummy data; adjust as needed
-  const rows = [
-    ['Date','Description','Debit','Credit','Balance'],
-    ['2025-08-01','Opening Balance','','','0.00'],
-    ['2025-08-02','Coffee','4.50','','-4.50'],
-    ['2025-08-02','Salary','','1500.00','1495.50']
-  ];
-  const csv = rows.map(r => r.join(',')).join('\n');
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'cashflow.csv';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-  indicateSaving();
+/** Render the list of archived weeks, newest first. */
+function renderHistory() {
+  const weeks = state.history.slice().reverse();
+  appEl.innerHTML = `
+    <h2>History</h2>
+    ${weeks.length ? `
+      <section class="section">
+        ${weeks.map(week => `
+          <a class="summary-row history-item" href="#/history/${week.weekStart}">
+            <span>${weekLabel(week.weekStart)}</span>
+            ${withState(stateForWeek(week), () => valueHTML(summaryTotals(week, currency()).thisRemaining))}
+          </a>
+        `).join('')}
+      </section>
+    ` : '<p>No weeks closed yet. Use “Close week” on the Summary page to archive the current week.</p>'}
+  `;
 }
-document.body.addEventListener('click', (e) => {
-  if (e.target && e.target.id === 'exportCsv') exportCSV();
-});
 
-// ----------------------
-// Supabase authentication (optional)
-// ----------------------
-let supabase = null;
-function initSupabase() {
-  try {
-    if (window.ENV && window.ENV.SUPABASE_URL && window.ENV.SUPABASE_ANON_KEY && window.supabase) {
-      supabase = window.supabase.createClient(window.ENV.SUPABASE_URL, window.ENV.SUPABASE_ANON_KEY);
-      supabase.auth.getSession().then(({ data }) => {
-        updateAuthUI(!!data?.session?.user);
-      });
-      supabase.auth.onAuthStateChange((_event, session) => {
-        updateAuthUI(!!session?.user);
-      });
-    }
-  } catch (e) {
-    console.warn('Supabase not configured', e);
+/**
+ * Render a read-only view of one archived week.
+ * @param {string} weekStart ISO date identifying the week
+ */
+function renderHistoryWeek(weekStart) {
+  const week = state.history.slice().reverse().find(w => w.weekStart === weekStart);
+  if (!week) {
+    appEl.innerHTML = `<h2>History</h2><p>That week is not in the archive.</p><a class="text-btn" href="#/history">Back to history</a>`;
+    return;
   }
+  appEl.innerHTML = withState(stateForWeek(week), () => historyWeekHTML(week));
 }
-function updateAuthUI(signedIn) {
-  authStatus.textContent = signedIn ? 'Signed in' : 'Signed out';
-  authButton.textContent = signedIn ? '🚪' : '🔑';
-  authButton.setAttribute('aria-label', signedIn ? 'Sign out' : 'Sign in');
+
+/**
+ * The read-only view of an archived week, in the settings it was closed with.
+ * @param {object} week
+ * @returns {string}
+ */
+function historyWeekHTML(week) {
+  const cash = cashTotals(week.cash, currency());
+  const quantities = combinedQuantities(week.cash);
+  const denomRow = ({ kind, value, key }) => {
+    const qty = Number(quantities[key] || 0);
+    return `<div class="summary-row"><span>${formatMoney(denomCents(value))} ${kind} × ${qty}</span>${valueHTML(qty * denomCents(value))}</div>`;
+  };
+  const itemsSection = (title, rows) => `
+    <section class="section">
+      <h3>${title}</h3>
+      ${rows.length ? rows.map(row => `
+        <div class="summary-row"><span>${escapeHTML(row.desc || '(no description)')}${row.category ? ` <span class="label">· ${escapeHTML(categoryName(row.category))}</span>` : ''}</span>${valueHTML(row.cents || 0)}</div>
+      `).join('') : '<p class="label">No entries</p>'}
+    </section>
+  `;
+  const closedAt = new Date(week.closedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return `
+    <h2>${weekLabel(week.weekStart)}</h2>
+    <p class="label">Closed ${closedAt} • <a class="text-btn" href="#/report/${escapeHTML(week.weekStart)}">Cash-up report</a> • <a class="text-btn" href="#/history">Back to history</a></p>
+    ${summaryGridHTML(summaryTotals(week, currency()))}
+    ${salesSummaryHTML(week)}
+    <section class="section">
+      <h3>Cash count</h3>
+      ${allDenoms().filter(d => Number(quantities[d.key] || 0)).map(denomRow).join('')
+        || '<p class="label">No cash counted</p>'}
+      <div class="summary-row total"><span>Total Cash</span>${valueHTML(cash.total)}</div>
+    </section>
+    ${week.cash.profiles.length > 1 ? `<section class="section"><h3>Profiles</h3>${profileSummaryHTML(week.cash)}</section>` : ''}
+    ${itemsSection('Cash Flow', week.income.cashFlowExtra)}
+    ${itemsSection('Income', week.income.incomeRows)}
+    ${itemsSection('Outgoing – This week', week.income.outgoingThisWeek)}
+    ${itemsSection('Outgoing – Next week', week.income.outgoingNextWeek)}
+    <section class="section"><h3>Where the money went</h3>${breakdownHTML(weekRowsOfKind(week, 'outgoing'))}</section>
+    <section class="section"><h3>Where the money came from</h3>${breakdownHTML(weekRowsOfKind(week, 'income'))}</section>
+  `;
 }
-authButton.addEventListener('click', async () => {
-  if (!supabase) {
-    alert('Supabase not configured. Please configure SUPABASE_URL and SUPABASE_ANON_KEY.');
-    return;
-  }
-  const isSignOut = authButton.textContent !== '🔑';
-  if (isSignOut) {
-    await supabase.auth.signOut();
-    return;
-  }
-  const email = prompt('Enter your email for magic link sign-in:');
-  if (!email) return;
-  const { error } = await supabase.auth.signInWithOtp({ email });
-  if (error) alert(error.message);
-  else alert('Check your email for a magic link.');
-});
-initSupabase();
 
-// ----------------------
-// Listen for offline events (optional)
-// ----------------------
-self.addEventListener && self.addEventListener('offline', () => {
-  saveStatus.textContent = 'Offline';
-});
\ No newline at end of file
+/** Render the Settings page. */
+function renderSettings() {
+  const { code, locale } = currency();
+  const currencyOptions = Object.entries(CURRENCIES).map(([c, def]) =>
+    `<option value="${c}"${c === code ? ' selected' : ''}>${c} – ${def.name}</option>`).join('');
+  const localeOptions = [`<option value="">Default (${LOCALES[locale] || locale})</option>`].concat(
+    Object.entries(LOCALES).map(([l, name]) => `<option value="${l}"${l === state.settings.locale ? ' selected' : ''}>${name}</option>`)
+  ).join('');
+  // Counts entered under another currency stay stored but are not counted
+  const denoms = allDenoms().map(d => d.key);
+  const uncounted = [...new Set(state.cash.profiles.flatMap(p =>
+    Object.keys(p.quantities).filter(key => Number(p.quantities[key]) && !denoms.includes(key))))]
+    .map(key => key.split(':').reverse().join(' '));
+  const copies = storageKeys().filter(key => key.startsWith(UNREADABLE_PREFIX)).sort();
+  // How many rows each category files, archived weeks included
+  const uses = {};
+  rowCollections(state).concat(state.history.flatMap(week => Object.values(week.income).map(rows => ({ rows }))))
+    .forEach(({ rows }) => rows.forEach(row => { if (row.category) uses[row.category] = (uses[row.category] || 0) + 1; }));
+  const categorySection = (kind, title) => `
+    <section class="section">
+      <header>
+        <h3>${title} categories</h3>
+        <div class="controls">
+          <button class="text-btn add-category" data-kind="${kind}" aria-label="Add ${kind} category">+</button>
+        </div>
+      </header>
+      ${categoriesOf(kind).map(c => `
+        <div class="row category-row" data-category="${escapeHTML(c.id)}">
+          <input class="desc" value="${escapeHTML(c.name)}" placeholder="Name" aria-label="Category name">
+          ${kind === 'outgoing'
+            ? `<input class="amount" type="text" inputmode="decimal" placeholder="Budget" value="${moneyInputValue(c.budgetCents)}" aria-label="Weekly budget">`
+            : '<div></div>'}
+          <span class="label value">${uses[c.id] || 0} ${uses[c.id] === 1 ? 'row' : 'rows'}</span>
+          <button class="text-btn remove-category" aria-label="Remove category">×</button>
+        </div>
+      `).join('') || '<p class="label">None yet</p>'}
+    </section>
+  `;
+  appEl.innerHTML = `
+    <h2>Settings</h2>
+    ${workspacesSectionHTML()}
+    <section class="section">
+      <h3>Currency</h3>
+      <div class="row setting-row"><label class="label" for="currency">Currency</label><select id="currency" class="setting">${currencyOptions}</select></div>
+      <div class="row setting-row"><label class="label" for="locale">Number format</label><select id="locale" class="setting">${localeOptions}</select></div>
+      <div class="summary-row"><span>Example</span><span class="value">${formatMoney(123450)}</span></div>
+      <div class="summary-row"><span>Notes</span><span class="value">${noteDenoms().map(d => formatMoney(denomCents(d))).join(' · ')}</span></div>
+      <div class="summary-row"><span>Coins</span><span class="value">${coinDenoms().map(d => formatMoney(denomCents(d))).join(' · ')}</span></div>
+      ${uncounted.length
+        ? `<p class="label">Counts for ${uncounted.join(', ')} are kept but not included in totals while ${code} is selected.</p>`
+        : ''}
+    </section>
+    <section class="section">
+      <h3>GST</h3>
+      <div class="row setting-row">
+        <label class="label" for="taxRate">Rate included in amounts (%)</label>
+        <input class="amount" id="taxRate" type="text" inputmode="decimal" value="${escapeHTML(state.settings.taxRate)}">
+      </div>
+      <p class="label">Lines include GST at this rate unless marked exempt. Set 0 if you are not registered for GST.</p>
+    </section>
+    <section class="section">
+      <h3>Display</h3>
+      <div class="row setting-row">
+        <label class="label" for="highContrast">High contrast</label>
+        <input type="checkbox" id="highContrast"${document.documentElement.getAttribute('data-contrast') === 'high' ? ' checked' : ''}>
+      </div>
+      <p class="label">Black or white text, borders and focus outlines in place of the accent colour, on this device only.</p>
+    </section>
+    ${categorySection('income', 'Income')}
+    ${categorySection('outgoing', 'Outgoing')}
+    <p class="label">Removing a category leaves its rows uncategorised. Leave a budget blank for no limit.</p>
+    <section class="section">
+      <h3>Alerts</h3>
+      <div class="row setting-row">
+        <label class="label" for="minBalance">Warn when remaining balance is below</label>
+        <input class="amount" id="minBalance" type="text" inputmode="decimal" placeholder="Off" value="${moneyInputValue(state.settings.minBalanceCents)}">
+      </div>
+      <div class="row setting-row">
+        <span class="label">Notifications</span>
+        ${!('Notification' in window)
+          ? '<span class="value">Not supported on this device</span>'
+          : Notification.permission === 'granted'
+            ? '<span class="value">On</span>'
+            : Notification.permission === 'denied'
+              ? '<span class="value">Blocked in browser settings</span>'
+              : '<button class="text-btn" type="button" id="enableNotifications">Turn on</button>'}
+      </div>
+      <p class="label">Alerts also cover outgoing categories over their weekly budget, this week and next.</p>
+    </section>
+    ${copies.length ? `
+      <section class="section">
+        <h3>Unreadable saved data</h3>
+        <p class="label">Copies of saved data this version could not open. Download one to keep it or send it for recovery.</p>
+        ${copies.map(key => `
+          <div class="row setting-row" data-key="${escapeHTML(key)}">
+            <span>${escapeHTML(new Date(key.slice(UNREADABLE_PREFIX.length)).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }))}</span>
+            <div class="controls">
+              <button class="text-btn download-copy" type="button">Download</button>
+              <button class="text-btn delete-copy" type="button">Delete</button>
+            </div>
+          </div>
+        `).join('')}
+      </section>
+    ` : ''}
+  `;
+  wireWorkspacesSection();
+  document.getElementById('currency').addEventListener('change', (e) => {
+    state.settings.currency = e.target.value;
+    saveState();
+    renderSettings();
+    dispatchCashUpdate();
+  });
+  document.getElementById('locale').addEventListener('change', (e) => {
+    state.settings.locale = e.target.value;
+    saveState();
+    renderSettings();
+    dispatchCashUpdate();
+  });
+  appEl.querySelectorAll('button.add-category').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.categories.push({ id: newId(), kind: btn.dataset.kind, name: '', budgetCents: null });
+      saveState();
+      renderSettings();
+      appEl.querySelector(`[data-category="${state.categories[state.categories.length - 1].id}"] input.desc`).focus();
+    });
+  });
+  appEl.querySelectorAll('[data-category]').forEach(rowEl => {
+    const category = state.categories.find(c => c.id === rowEl.dataset.category);
+    rowEl.querySelector('input.desc').addEventListener('input', (e) => {
+      category.name = e.target.value;
+      saveState();
+    });
+    const budgetInput = rowEl.querySelector('input.amount');
+    if (budgetInput) wireMoneyInput(budgetInput, (cents) => {
+      category.budgetCents = cents;
+      saveState();
+    }, { allowNegative: false });
+    rowEl.querySelector('.remove-category').addEventListener('click', () => {
+      state.categories = state.categories.filter(c => c !== category);
+      saveState({ undoLabel: `Removed ${category.name || 'category'}` });
+      renderSettings();
+    });
+  });
+  document.getElementById('highContrast').addEventListener('change', (e) => setHighContrast(e.target.checked));
+  const rateInput = document.getElementById('taxRate');
+  rateInput.addEventListener('input', () => {
+    const rate = rateInput.value.trim() === '' ? NaN : Number(rateInput.value);
+    if (!validTaxRate(rate)) {
+      rateInput.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    rateInput.removeAttribute('aria-invalid');
+    state.settings.taxRate = rate;
+    saveState();
+  });
+  rateInput.addEventListener('change', () => {
+    const invalid = rateInput.getAttribute('aria-invalid') === 'true';
+    showInputNote(rateInput, invalid ? 'Enter a rate from 0 to 100.' : '', invalid);
+  });
+  wireMoneyInput(document.getElementById('minBalance'), (cents) => {
+    state.settings.minBalanceCents = cents;
+    saveState();
+  });
+  const notifyBtn = document.getElementById('enableNotifications');
+  if (notifyBtn) notifyBtn.addEventListener('click', () => requestNotifications());
+  appEl.querySelectorAll('[data-key]').forEach(rowEl => {
+    const key = rowEl.dataset.key;
+    rowEl.querySelector('.download-copy').addEventListener('click', () => downloadUnreadableCopy(storageGet(key), key));
+    rowEl.querySelector('.delete-copy').addEventListener('click', () => {
+      if (!confirm('Delete this copy? It cannot be recovered afterwards.')) return;
+      storageRemove(key);
+      renderSettings();
+    });
+  });
+}
+
+// ----------------------
+// Workspaces
+// ----------------------
+//
+// Each workspace is a separate set of books with its own state, undo steps
+// and alert and sync bookkeeping, stored under keys scoped by workspaceKey().
+// The first workspace keeps the keys used before workspaces existed, so
+// older data opens as it is. Signed-in users sync each workspace to its own
+// row, and workspaces synced from other devices are added to the list.
+
+/** Id of the workspace holding data saved before workspaces existed. */
+const DEFAULT_WORKSPACE = 'default';
+
+/** Known workspaces and which one is open: `{ active, list: [{ id, name }] }`. */
+let workspaces = defaultWorkspaces();
+
+/** @returns {{active: string, list: Array<{id: string, name: string}>}} */
+function defaultWorkspaces() {
+  return { active: DEFAULT_WORKSPACE, list: [{ id: DEFAULT_WORKSPACE, name: 'My business' }] };
+}
+
+/**
+ * Read the workspace list from storage, falling back to the default workspace
+ * for anything missing or malformed.
+ * @returns {{active: string, list: Array<{id: string, name: string}>}}
+ */
+function loadWorkspaces() {
+  const saved = storageGet('workspaces');
+  const list = (saved && Array.isArray(saved.list) ? saved.list : [])
+    .filter(w => w && typeof w.id === 'string' && w.id)
+    .map(w => ({ id: w.id, name: typeof w.name === 'string' ? w.name : '' }));
+  if (!list.length) return defaultWorkspaces();
+  return { active: list.some(w => w.id === saved.active) ? saved.active : list[0].id, list };
+}
+
+/** Store the workspace list and refresh the header switcher. */
+function saveWorkspaces() {
+  storageSet('workspaces', structuredClone(workspaces));
+  renderWorkspaceSelect();
+}
+
+/**
+ * Storage key for a workspace's copy of some data.
+ * @param {string} base key used by the default workspace, e.g. 'state-cashflow'
+ * @param {string} [id] workspace; the open one by default
+ * @returns {string}
+ */
+function workspaceKey(base, id = workspaces.active) {
+  return id === DEFAULT_WORKSPACE ? base : `${base}@${id}`;
+}
+
+/** @returns {{id: string, name: string}} the open workspace */
+function activeWorkspace() {
+  return workspaces.list.find(w => w.id === workspaces.active);
+}
+
+/**
+ * Display name of a workspace.
+ * @param {{name: string}} workspace
+ * @returns {string}
+ */
+function workspaceName(workspace) {
+  return workspace.name.trim() || 'Untitled';
+}
+
+/**
+ * Part of download file names naming the open workspace, empty while there is
+ * only one so existing file names stay as they were.
+ * @returns {string} e.g. "-market-stall", or ""
+ */
+function workspaceFileTag() {
+  if (workspaces.list.length < 2) return '';
+  const slug = workspaceName(activeWorkspace()).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug ? `-${slug}` : '';
+}
+
+/** Fill the header's workspace switcher. */
+function renderWorkspaceSelect() {
+  let select = document.getElementById('workspaceSelect');
+  if (!select) {
+    select = document.createElement('select');
+    select.id = 'workspaceSelect';
+    select.className = 'workspace-select';
+    select.setAttribute('aria-label', 'Workspace');
+    select.addEventListener('change', () => {
+      if (select.value === '') {
+        location.hash = '#/settings';
+        select.value = workspaces.active;
+        return;
+      }
+      switchWorkspace(select.value);
+    });
+    document.querySelector('.nav-right').prepend(select);
+  }
+  select.innerHTML = workspaces.list.map(w =>
+    `<option value="${escapeHTML(w.id)}"${w.id === workspaces.active ? ' selected' : ''}>${escapeHTML(workspaceName(w))}</option>`
+  ).join('') + '<option value="">Manage workspaces…</option>';
+}
+
+/**
+ * Load the open workspace's state and show it, with its own undo steps and
+ * alerts, then sync it.
+ */
+function openWorkspace() {
+  // A save still waiting belongs to the workspace left behind, which is being removed
+  clearTimeout(window.__pendingSaveTimer);
+  pendingSave = null;
+  unreadableState = null;
+  state = loadState();
+  savedSnapshot = structuredClone(state);
+  stateLoaded = true;
+  undoStack = [];
+  redoStack = [];
+  undoField = null;
+  loadUndo();
+  setActiveRoute();
+  dispatchCashUpdate();
+  showUnreadableNotice();
+  checkAlerts();
+  if (readSyncMeta().pending) requestBackgroundSync();
+  syncNow();
+}
+
+/**
+ * Open another workspace. The one left behind is already saved; edits it has
+ * not uploaded yet are synced first, or the next time it is opened if that
+ * cannot happen now.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function switchWorkspace(id) {
+  if (id === workspaces.active || !workspaces.list.some(w => w.id === id)) return;
+  flushSave();
+  clearTimeout(window.__syncTimer);
+  if (readSyncMeta().pending) await syncNow();
+  persistUndo();
+  workspaces.active = id;
+  saveWorkspaces();
+  openWorkspace();
+}
+
+/**
+ * Add an empty workspace and open it.
+ * @param {string} name
+ * @returns {Promise<string>} its id
+ */
+async function createWorkspace(name) {
+  const id = newId();
+  workspaces.list.push({ id, name });
+  await switchWorkspace(id);
+  return id;
+}
+
+/**
+ * Delete a workspace and everything stored for it, including its synced
+ * copy when signed in. The last workspace cannot be deleted.
+ * @param {string} id
+ */
+async function deleteWorkspace(id) {
+  const workspace = workspaces.list.find(w => w.id === id);
+  if (!workspace || workspaces.list.length < 2) return;
+  if (!confirm(`Delete ${workspaceName(workspace)} and all its data? It cannot be recovered afterwards.`)) return;
+  if (supabase && syncUser) {
+    try {
+      await deleteSyncedWorkspace(id);
+    } catch (err) {
+      console.error('Error deleting synced workspace', err);
+      showToast('Could not delete the synced copy – try again when online');
+      return;
+    }
+  }
+  workspaces.list = workspaces.list.filter(w => w !== workspace);
+  const wasActive = workspaces.active === id;
+  if (wasActive) workspaces.active = workspaces.list[0].id;
+  saveWorkspaces();
+  removeWorkspaceData(id);
+  if (wasActive) openWorkspace();
+  else if (location.hash === '#/settings') renderSettings();
+}
+
+/**
+ * Remove everything stored for a workspace on this device.
+ * @param {string} id
+ */
+function removeWorkspaceData(id) {
+  storageRemove(workspaceKey('state-cashflow', id));
+  storageRemove(workspaceKey('sync-meta', id));
+  storageRemove(workspaceKey('alerts-cashflow', id));
+  sessionStorage.removeItem(workspaceKey('undo-cashflow', id));
+}
+
+/**
+ * Remove every workspace from this device, with copies of unreadable data,
+ * and open a new empty default workspace. Theme and accent are kept.
+ */
+function clearWorkspaces() {
+  workspaces.list.forEach(w => removeWorkspaceData(w.id));
+  storageKeys().filter(key => key.startsWith(UNREADABLE_PREFIX)).forEach(storageRemove);
+  workspaces = defaultWorkspaces();
+  saveWorkspaces();
+  openWorkspace();
+}
+
+/**
+ * Settings section listing the workspaces, to rename, open, add and delete them.
+ * @returns {string} HTML
+ */
+function workspacesSectionHTML() {
+  return `
+    <section class="section">
+      <header>
+        <h3>Workspaces</h3>
+        <div class="controls">
+          <button class="text-btn" id="addWorkspace" aria-label="Add workspace">+</button>
+        </div>
+      </header>
+      ${workspaces.list.map(w => `
+        <div class="row workspace-row" data-workspace="${escapeHTML(w.id)}">
+          <input class="desc" value="${escapeHTML(w.name)}" placeholder="Untitled" aria-label="Workspace name">
+          ${w.id === workspaces.active
+            ? '<span class="label value">Open</span>'
+            : '<button class="text-btn open-workspace" type="button">Open</button>'}
+          <button class="text-btn remove-workspace" aria-label="Delete workspace"${workspaces.list.length < 2 ? ' disabled' : ''}>×</button>
+        </div>
+      `).join('')}
+      <p class="label">Each workspace keeps its own figures, settings and history. Export, import and
+        undo apply to the open one.</p>
+    </section>
+  `;
+}
+
+/** Attach handlers to the section from workspacesSectionHTML(). */
+function wireWorkspacesSection() {
+  document.getElementById('addWorkspace').addEventListener('click', async () => {
+    const id = await createWorkspace('');
+    if (location.hash === '#/settings') appEl.querySelector(`[data-workspace="${id}"] input.desc`).focus();
+  });
+  appEl.querySelectorAll('[data-workspace]').forEach(rowEl => {
+    const workspace = workspaces.list.find(w => w.id === rowEl.dataset.workspace);
+    rowEl.querySelector('input.desc').addEventListener('input', (e) => {
+      workspace.name = e.target.value;
+      saveWorkspaces();
+      queueWorkspaceName(workspace.id);
+    });
+    const openBtn = rowEl.querySelector('.open-workspace');
+    if (openBtn) openBtn.addEventListener('click', () => switchWorkspace(workspace.id));
+    rowEl.querySelector('.remove-workspace').addEventListener('click', () => deleteWorkspace(workspace.id));
+  });
+}
+
+// ----------------------
+// Weekly close
+// ----------------------
+
+/**
+ * Archive the current week and roll the state over to the following week.
+ * Next week's income and outgoings become this week's, the first forecast
+ * week becomes next week (or defaults if none was planned), and the cash
+ * count starts again. Only the part of the remaining balance that is not
+ * counted cash is carried forward as the opening balance: cash still on hand
+ * is counted again next week, so carrying it too would count it twice.
+ */
+function closeWeek() {
+  const { thisRemaining, cashTotal } = summaryTotals(state, currency());
+  // Archive recurring items as plain rows so the week stays as it was closed
+  const income = {};
+  Object.keys(state.income).forEach(key => {
+    income[key] = sectionRows(state, key).map(({ desc, cents, category, tags, tax }) => ({ desc, cents, category, tags, tax }));
+  });
+  state.history.push({
+    weekStart: state.weekStart,
+    closedAt: new Date().toISOString(),
+    openingCents: state.openingCents,
+    cash: structuredClone(state.cash),
+    income,
+    sales: state.sales.map(({ date, cents, cash }) => ({ date, cents, cash })),
+    // The GST figures for the quarter keep the rate the week was closed with,
+    // and History and reports the currency it was counted in
+    taxRate: state.settings.taxRate,
+    currency: state.settings.currency,
+    locale: state.settings.locale
+  });
+  const fresh = structuredClone(defaultState);
+  const following = state.futureWeeks.shift() || newForecastWeek();
+  state.weekStart = addDaysISO(state.weekStart, 7);
+  state.openingCents = thisRemaining - cashTotal;
+  // Profiles, names and floats carry over; only the counts start again
+  state.cash.profiles.forEach(p => { p.quantities = {}; });
+  state.cash.countedBy = '';
+  // Bank transactions were matched against this week's rows
+  state.transactions = [];
+  state.sales = [];
+  state.income = {
+    ...fresh.income,
+    incomeRows: state.income.incomeNextWeek,
+    outgoingThisWeek: state.income.outgoingNextWeek,
+    incomeNextWeek: following.incomeRows,
+    outgoingNextWeek: following.outgoingRows
+  };
+  Object.keys(state.recurringOverrides).forEach(week => {
+    if (week < state.weekStart) delete state.recurringOverrides[week];
+  });
+  saveState({ undoLabel: 'Closed week' });
+  dispatchCashUpdate();
+}
+
+// ----------------------
+// Cash-up report
+// ----------------------
+
+/** Line item sections in the report, in order, with their headings. */
+const REPORT_SECTIONS = {
+  cashFlowExtra: 'Cash flow',
+  incomeRows: 'Income',
+  outgoingThisWeek: 'Outgoing – This week',
+  incomeNextWeek: 'Income – Next week',
+  outgoingNextWeek: 'Outgoing – Next week'
+};
+
+/**
+ * Build the one-page cash-up report for a week: header, cash count, every
+ * line item, the Summary balances and signature lines.
+ * @param {object} week the live state or an archived week
+ * @param {string} date when the count was made, as an ISO timestamp
+ * @returns {string}
+ */
+function reportHTML(week, date) {
+  const cash = cashTotals(week.cash, currency());
+  const quantities = combinedQuantities(week.cash);
+  const denomRows = (kind) => allDenoms().filter(d => d.kind === kind).map(({ value, key }) => {
+    const qty = Number(quantities[key] || 0);
+    return `<tr><td>${formatMoney(denomCents(value))}</td><td class="num">${qty || ''}</td><td class="num">${qty ? formatMoney(qty * denomCents(value)) : ''}</td></tr>`;
+  }).join('');
+  const lineRows = (rows) => rows.filter(row => row.desc || row.cents).map(row => `
+    <tr><td>${escapeHTML(row.desc || '(no description)')}</td><td class="num">${formatMoney(row.cents || 0)}</td></tr>
+  `).join('') || '<tr><td class="label" colspan="2">No entries</td></tr>';
+  const signature = (label, name) => `
+    <div class="signature"><span class="signature-line">${escapeHTML(name)}</span><span class="label">${label}</span></div>
+  `;
+  const printed = new Date(date).toLocaleString(currency().locale, { dateStyle: 'medium', timeStyle: 'short' });
+  return `
+    <article class="report">
+      <header class="report-header">
+        <div>
+          <h2>${escapeHTML(state.settings.businessName || 'Cash-up report')}</h2>
+          <p class="label">${state.settings.businessName ? 'Cash-up report • ' : ''}${weekLabel(week.weekStart)}</p>
+        </div>
+        <dl>
+          <dt>Date</dt><dd>${escapeHTML(printed)}</dd>
+          <dt>Counted by</dt><dd>${escapeHTML(week.cash.countedBy || '')}</dd>
+        </dl>
+      </header>
+      <div class="report-columns">
+        <section>
+          <h3>Cash count</h3>
+          <table>
+            <thead><tr><th>Denomination</th><th class="num">Qty</th><th class="num">Total</th></tr></thead>
+            <tbody>
+              ${denomRows('note')}
+              <tr class="subtotal"><td colspan="2">Notes</td><td class="num">${formatMoney(cash.notesSubtotal)}</td></tr>
+              ${denomRows('coin')}
+              <tr class="subtotal"><td colspan="2">Coins</td><td class="num">${formatMoney(cash.coinsSubtotal)}</td></tr>
+              <tr class="total"><td colspan="2">Total cash</td><td class="num">${formatMoney(cash.total)}</td></tr>
+              ${cash.profiles.map(p => `
+                <tr><td colspan="2">${escapeHTML(p.name || 'Unnamed')}: float ${formatMoney(p.float)}</td><td class="num">to bank ${formatMoney(p.toBank)}</td></tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </section>
+        <section>
+          ${Object.entries(REPORT_SECTIONS).map(([key, title]) => `
+            <h3>${title}</h3>
+            <table><tbody>${lineRows(sectionRows(week, key))}</tbody></table>
+          `).join('')}
+        </section>
+      </div>
+      ${summaryGridHTML(summaryTotals(week, currency()))}
+      <div class="signatures">
+        ${signature('Counted by', week.cash.countedBy || '')}
+        ${signature('Checked by', '')}
+        ${signature('Signature', '')}
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Render the cash-up report for the current week, or for an archived one.
+ * @param {string} [weekStart] ISO date of an archived week
+ */
+function renderReport(weekStart) {
+  const week = weekStart ? state.history.find(w => w.weekStart === weekStart) : state;
+  if (!week) {
+    appEl.innerHTML = `<h2>Cash-up report</h2><p>That week is not in the archive.</p><a class="text-btn" href="#/history">Back to history</a>`;
+    return;
+  }
+  const date = weekStart ? week.closedAt : new Date().toISOString();
+  const html = () => weekStart ? withState(stateForWeek(week), () => reportHTML(week, date)) : reportHTML(week, date);
+  appEl.innerHTML = `
+    <div class="report-controls">
+      <div class="row setting-row"><label class="label" for="businessName">Business name</label><input class="desc" id="businessName" value="${escapeHTML(state.settings.businessName)}"></div>
+      ${weekStart ? '' : `<div class="row setting-row"><label class="label" for="countedBy">Counted by</label><input class="desc" id="countedBy" value="${escapeHTML(state.cash.countedBy)}"></div>`}
+      <div class="controls">
+        <button class="text-btn" id="printReport" type="button">Print or save as PDF</button>
+        <button class="text-btn" id="saveReport" type="button">Save as HTML</button>
+        <a class="text-btn" href="${weekStart ? `#/history/${weekStart}` : '#/cash'}">Back</a>
+      </div>
+    </div>
+    <div id="report">${html()}</div>
+  `;
+  const refresh = () => { document.getElementById('report').innerHTML = html(); };
+  document.getElementById('businessName').addEventListener('input', (e) => {
+    state.settings.businessName = e.target.value;
+    saveState();
+    refresh();
+  });
+  const countedBy = document.getElementById('countedBy');
+  if (countedBy) countedBy.addEventListener('input', () => {
+    state.cash.countedBy = countedBy.value;
+    saveState();
+    refresh();
+  });
+  document.getElementById('printReport').addEventListener('click', () => window.print());
+  document.getElementById('saveReport').addEventListener('click', () => saveReportHTML(week.weekStart));
+}
+
+/**
+ * Download the report on screen as a self-contained HTML file, with the
+ * app's styles inlined so it opens and prints the same without the app.
+ * @param {string} weekStart
+ */
+function saveReportHTML(weekStart) {
+  const css = [...document.styleSheets].map(sheet => {
+    try {
+      return [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+    } catch {
+      // Stylesheets from other origins (web fonts) cannot be read; the report falls back to system fonts
+      return '';
+    }
+  }).join('\n');
+  const title = `${state.settings.businessName ? `${state.settings.businessName} – ` : ''}Cash-up ${weekStart}`;
+  const html = `<!DOCTYPE html>
+<html lang="en" data-theme="light" data-accent="${escapeHTML(document.documentElement.dataset.accent || '')}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>${css}</style>
+</head>
+<body>
+<main class="container">${document.getElementById('report').innerHTML}</main>
+</body>
+</html>
+`;
+  downloadFile(`cashup${workspaceFileTag()}-${weekStart}.html`, html, 'text/html;charset=utf-8');
+}
+
+// ----------------------
+// Sharing
+// ----------------------
+//
+// A shared link carries a read-only copy of this week's Summary, Income and
+// Cash figures in its fragment (#/view/<payload>), so nothing goes through a
+// server. The payload is the snapshot as JSON, deflated where the browser can
+// and base64url-encoded; its first character says which: 'z' deflated, 'j' plain.
+
+/**
+ * What a shared link carries: the current week and forecast, without history,
+ * bank transactions or sync bookkeeping. Line items lose their ids so an
+ * import adds them as new rows rather than matching rows of the sender's.
+ * @returns {object}
+ */
+function shareSnapshot() {
+  const strip = (rows) => rows.map(({ id, updatedAt, ...row }) => row);
+  const income = {};
+  Object.entries(state.income).forEach(([key, rows]) => { income[key] = strip(rows); });
+  const { currency: code, locale, forecastWeeks, businessName } = state.settings;
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    sharedAt: new Date().toISOString(),
+    weekStart: state.weekStart,
+    openingCents: state.openingCents,
+    income,
+    cash: state.cash,
+    futureWeeks: state.futureWeeks.map(week => ({ incomeRows: strip(week.incomeRows), outgoingRows: strip(week.outgoingRows) })),
+    sales: strip(state.sales),
+    recurring: state.recurring,
+    recurringOverrides: state.recurringOverrides,
+    categories: state.categories,
+    settings: { currency: code, locale, forecastWeeks, businessName }
+  };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} when text is not base64url
+ */
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Encode a snapshot for a link's fragment.
+ * @param {object} data
+ * @returns {Promise<string>}
+ */
+async function encodeShare(data) {
+  const json = JSON.stringify(data);
+  if (typeof CompressionStream === 'undefined') return 'j' + base64UrlEncode(new TextEncoder().encode(json));
+  const deflated = new Response(new Response(json).body.pipeThrough(new CompressionStream('deflate-raw')));
+  return 'z' + base64UrlEncode(new Uint8Array(await deflated.arrayBuffer()));
+}
+
+/**
+ * Decode a link's payload back into the snapshot, upgraded to this version's state layout.
+ * @param {string} payload
+ * @returns {Promise<object>}
+ * @throws {Error} when the link is damaged or this browser cannot read it
+ */
+async function decodeShare(payload) {
+  let json;
+  try {
+    const bytes = base64UrlDecode(payload.slice(1));
+    if (payload[0] === 'j') {
+      json = new TextDecoder().decode(bytes);
+    } else if (payload[0] === 'z' && typeof DecompressionStream !== 'undefined') {
+      json = await new Response(new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'))).text();
+    } else if (payload[0] === 'z') {
+      throw Object.assign(new Error('This browser cannot open shared links. Try a current version of Chrome, Edge, Firefox or Safari.'), { code: 'UNSUPPORTED' });
+    } else {
+      throw new Error('Unknown encoding');
+    }
+  } catch (err) {
+    if (err.code === 'UNSUPPORTED') throw err;
+    throw new Error('This link is damaged or incomplete. Ask for it to be shared again.');
+  }
+  return normalizeState(upgradeState(JSON.parse(json)));
+}
+
+/**
+ * Share a link to this week's figures with the Web Share API, or copy it
+ * when that is not available. Shows the link to copy by hand as a last resort.
+ */
+async function shareWeek() {
+  const url = `${location.origin}${location.pathname}#/view/${await encodeShare(shareSnapshot())}`;
+  const title = `${state.settings.businessName || 'Cashflow'} – ${weekLabel(state.weekStart)}`;
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text: `${title} (read-only)`, url });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.warn('Web Share failed', err);
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast('Link copied. Anyone with it can see this week’s figures.');
+  } catch (err) {
+    console.warn('Could not copy the link', err);
+    const box = document.getElementById('shareLink');
+    if (!box) return;
+    box.innerHTML = `
+      <div class="row setting-row">
+        <label class="label" for="shareUrl">Copy this link</label>
+        <input class="desc" id="shareUrl" readonly value="${escapeHTML(url)}">
+      </div>
+    `;
+    document.getElementById('shareUrl').select();
+  }
+}
+
+/**
+ * Run an HTML renderer against another state, e.g. a shared snapshot, so
+ * money and categories follow that state's settings. Renderers read the
+ * global `state`; the live one is back in place before this returns.
+ * @param {object} s
+ * @param {() => string} render must not save or change state
+ * @returns {string}
+ */
+function withState(s, render) {
+  const live = state;
+  state = s;
+  try {
+    return render();
+  } finally {
+    state = live;
+  }
+}
+
+/**
+ * The live state with an archived week's currency and locale in place, for
+ * withState(), so the week reads as it was closed whatever the settings are
+ * now. Weeks closed before these were kept follow the current settings.
+ * @param {object} week
+ * @returns {object}
+ */
+function stateForWeek(week) {
+  const { currency = state.settings.currency, locale = state.settings.locale } = week;
+  return { ...state, settings: { ...state.settings, currency, locale } };
+}
+
+/**
+ * Render a shared snapshot read-only with the Summary and report renderers,
+ * offering to import it into the open workspace.
+ * @param {string} payload the fragment after #/view/
+ */
+async function renderSharedView(payload) {
+  const hash = location.hash;
+  appEl.innerHTML = '<h2>Shared week</h2><p class="label">Opening…</p>';
+  let shared;
+  try {
+    shared = await decodeShare(payload);
+  } catch (err) {
+    console.error('Error opening shared link', err);
+    if (location.hash !== hash) return;
+    appEl.innerHTML = `<h2>Shared week</h2><p>${escapeHTML(err.message)}</p><a class="text-btn" href="#/">Home</a>`;
+    return;
+  }
+  // Navigated away while decoding
+  if (location.hash !== hash) return;
+  const content = withState(shared, () => {
+    const weeks = forecastWeeks(shared, currency());
+    const shortfall = weeks.find(week => week.remaining < 0);
+    return `
+      <h2>${escapeHTML(shared.settings.businessName || 'Shared week')}</h2>
+      <p class="label">Read-only • shared ${escapeHTML(new Date(shared.sharedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }))}</p>
+      <div class="controls">
+        <button class="text-btn" type="button" id="importShared">Import into my workspace</button>
+        <a class="text-btn" href="#/">Close</a>
+      </div>
+      ${shortfall
+        ? `<p class="negative" role="alert">Balance goes negative in the week of ${formatDateISO(shortfall.weekStart)}.</p>`
+        : ''}
+      <div class="summary-grid">
+        ${weeks.map(week => forecastColumnHTML(week, week === shortfall, false)).join('')}
+      </div>
+      ${salesSummaryHTML(shared)}
+      ${reportHTML(shared, shared.sharedAt)}
+      <section class="section"><h3>Where the money goes</h3>${breakdownHTML(weekRowsOfKind(shared, 'outgoing'), shared)}</section>
+    `;
+  });
+  appEl.innerHTML = content;
+  document.getElementById('importShared').addEventListener('click', () => {
+    startImport(`Shared link – ${weekLabel(shared.weekStart)}`, validateSnapshot(shared));
+    location.hash = '#/';
+  });
+}
+
+// ----------------------
+// Recurring items
+// ----------------------
+
+/** Supported schedules for recurring items, with labels for the editor. */
+const RECURRING_FREQUENCIES = {
+  weekly: 'Weekly',
+  fortnightly: 'Fortnightly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly'
+};
+
+/**
+ * Create a recurring item template starting this week.
+ * @param {'income'|'outgoing'} kind
+ * @returns {object}
+ */
+function newRecurringItem(kind) {
+  return { id: newId(), kind, desc: '', cents: null, category: '', tags: [], tax: 'inclusive', frequency: 'weekly', day: 1, start: state.weekStart };
+}
+
+/**
+ * Set or clear this week's override for a recurring item.
+ * @param {string} weekStart
+ * @param {string} id
+ * @param {{cents?: number, skip?: boolean}|null} override null restores the template
+ */
+function setRecurringOverride(weekStart, id, override) {
+  const week = state.recurringOverrides[weekStart] || {};
+  if (override) week[id] = override;
+  else delete week[id];
+  if (Object.keys(week).length) state.recurringOverrides[weekStart] = week;
+  else delete state.recurringOverrides[weekStart];
+}
+
+/**
+ * Build the rows for recurring items falling in a week. The description comes
+ * from the template; the amount and skip only apply to this week.
+ * @param {'income'|'outgoing'} kind
+ * @param {string} weekStart
+ * @returns {string}
+ */
+function buildRecurringRows(kind, weekStart) {
+  return recurringRows(state, kind, weekStart).map(row => `
+    <div class="row categorised recurring${row.skipped ? ' skipped' : ''}" data-recurring="${escapeHTML(row.recurringId)}" data-week="${escapeHTML(weekStart)}">
+      <div class="desc-text" title="Recurring item">↻ ${escapeHTML(row.desc || '(no description)')}</div>
+      <div class="label">${escapeHTML(categoryName(row.category))}</div>
+      <div class="label">${escapeHTML(row.tags.map(tag => `#${tag}`).join(' '))}</div>
+      <input class="amount" type="text" inputmode="decimal" placeholder="Amount" value="${moneyInputValue(row.cents)}"${row.skipped ? ' disabled' : ''} aria-label="Amount this week">
+      ${row.skipped
+        ? '<button class="text-btn restore-recurring" aria-label="Include this week">↺</button>'
+        : '<button class="text-btn skip-recurring" aria-label="Skip this week">×</button>'}
+    </div>
+  `).join('');
+}
+
+/**
+ * Hook up rows built by buildRecurringRows(). Edits are stored as overrides
+ * for that week only; clearing the amount goes back to the template's.
+ * @param {Function} rerender called after an item is skipped or restored
+ */
+function wireRecurringRows(rerender) {
+  appEl.querySelectorAll('.row.recurring').forEach(rowEl => {
+    const { recurring: id, week } = rowEl.dataset;
+    const item = state.recurring.find(i => i.id === id);
+    wireMoneyInput(rowEl.querySelector('input.amount'), (cents) => {
+      const useTemplate = cents === null || cents === item.cents;
+      setRecurringOverride(week, id, useTemplate ? null : { cents });
+      saveState();
+    });
+    const skipBtn = rowEl.querySelector('.skip-recurring');
+    if (skipBtn) skipBtn.addEventListener('click', () => {
+      setRecurringOverride(week, id, { skip: true });
+      saveState();
+      rerender();
+    });
+    const restoreBtn = rowEl.querySelector('.restore-recurring');
+    if (restoreBtn) restoreBtn.addEventListener('click', () => {
+      setRecurringOverride(week, id, null);
+      saveState();
+      rerender();
+    });
+  });
+}
+
+/** Render the editor for recurring income and expense templates. */
+function renderRecurringPage() {
+  const itemRow = (item) => {
+    const options = Object.entries(RECURRING_FREQUENCIES).map(([value, label]) =>
+      `<option value="${value}"${item.frequency === value ? ' selected' : ''}>${label}</option>`).join('');
+    return `
+      <div class="recurring-item" data-id="${escapeHTML(item.id)}">
+        <input class="desc" data-field="desc" placeholder="Description" value="${escapeHTML(item.desc)}">
+        <input class="amount" type="text" inputmode="decimal" placeholder="Amount" value="${moneyInputValue(item.cents)}">
+        <select class="category" data-field="category" aria-label="Category">${categoryOptionsHTML(item.kind, item.category)}</select>
+        <input class="tags" data-field="tags" placeholder="Tags" value="${escapeHTML((item.tags || []).join(', '))}" aria-label="Tags, separated by commas">
+        ${taxFlagHTML(item.tax, 'tax')}
+        <select class="setting" data-field="frequency" aria-label="Frequency">${options}</select>
+        ${item.frequency === 'monthly'
+          ? `<label class="label">Day <input class="qty" data-field="day" type="number" min="1" max="31" step="1" inputmode="numeric" value="${escapeHTML(item.day)}"></label>`
+          : `<label class="label">From <input class="qty" data-field="start" type="date" value="${escapeHTML(item.start)}"></label>`}
+        <button class="text-btn remove-row" aria-label="Remove recurring item">×</button>
+      </div>
+    `;
+  };
+  const section = (kind, title) => `
+    <section class="section">
+      <header>
+        <h3>${title}</h3>
+        <div class="controls">
+          <button class="text-btn add-line" data-kind="${kind}" aria-label="Add recurring ${kind} item">+</button>
+        </div>
+      </header>
+      ${state.recurring.filter(item => item.kind === kind).map(itemRow).join('') || '<p class="label">None yet</p>'}
+    </section>
+  `;
+  appEl.innerHTML = `
+    <h2>Recurring items</h2>
+    <p class="label">These fill in automatically for every week they fall in, including the forecast. Changing an amount on a single week only affects that week. <a class="text-btn" href="#/income">Back to income &amp; expenses</a></p>
+    ${section('income', 'Income')}
+    ${section('outgoing', 'Outgoing')}
+  `;
+  appEl.querySelectorAll('button.add-line').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.recurring.push(newRecurringItem(btn.dataset.kind));
+      saveState();
+      renderRecurringPage();
+    });
+  });
+  appEl.querySelectorAll('.recurring-item').forEach(rowEl => {
+    const item = state.recurring.find(i => i.id === rowEl.dataset.id);
+    rowEl.querySelector('.remove-row').addEventListener('click', () => {
+      state.recurring = state.recurring.filter(i => i !== item);
+      Object.keys(state.recurringOverrides).forEach(week => setRecurringOverride(week, item.id, null));
+      saveState({ undoLabel: `Removed ${item.desc || 'recurring item'}` });
+      renderRecurringPage();
+    });
+    wireMoneyInput(rowEl.querySelector('input.amount'), (cents) => {
+      item.cents = cents;
+      saveState();
+    });
+    rowEl.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      input.addEventListener(input.tagName === 'SELECT' || ['date', 'checkbox'].includes(input.type) ? 'change' : 'input', () => {
+        if (field === 'day') item.day = Math.min(31, Math.max(1, Math.floor(Number(input.value)) || 1));
+        else if (field === 'start') item.start = input.value || state.weekStart;
+        else if (field === 'tags') item.tags = parseTags(input.value);
+        else if (field === 'tax') item.tax = input.checked ? 'inclusive' : 'exempt';
+        else item[field] = input.value;
+        saveState();
+        // The schedule detail shown depends on the frequency
+        if (field === 'frequency') renderRecurringPage();
+      });
+    });
+  });
+}
+
+// ----------------------
+// Categories & tags
+// ----------------------
+
+/** Bar colours for the breakdown chart, used in order and repeated if needed. */
+const CHART_COLOURS = ['#1447E1', '#EF476F', '#06A77D', '#F4A259', '#9349C1', '#2EC4B6', '#8D6A9F', '#C2A83E'];
+
+/** Which breakdown the Summary page shows: a period ('this', 'next' or an archived week's start) and a kind. */
+let breakdownView = { period: 'this', kind: 'outgoing' };
+
+/**
+ * Categories of one kind, in the order the user keeps them.
+ * @param {'income'|'outgoing'} kind
+ * @param {object} [s]
+ * @returns {Array<{id: string, kind: string, name: string}>}
+ */
+function categoriesOf(kind, s = state) {
+  return s.categories.filter(c => c.kind === kind);
+}
+
+/**
+ * Name of a category. Rows whose category was removed count as uncategorised.
+ * @param {string} id
+ * @param {object} [s]
+ * @returns {string}
+ */
+function categoryName(id, s = state) {
+  const category = id && s.categories.find(c => c.id === id);
+  return category ? category.name || 'Unnamed' : 'Uncategorised';
+}
+
+/**
+ * Split typed tags on commas, dropping a leading "#", blanks and repeats.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parseTags(text) {
+  const tags = [];
+  String(text || '').split(',').forEach(part => {
+    const tag = part.trim().replace(/^#+/, '').trim();
+    if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * Build the options of a category picker.
+ * @param {'income'|'outgoing'} kind
+ * @param {string} selected category id
+ * @returns {string}
+ */
+function categoryOptionsHTML(kind, selected) {
+  const known = categoriesOf(kind).some(c => c.id === selected);
+  return [`<option value=""${known ? '' : ' selected'}>Uncategorised</option>`].concat(
+    categoriesOf(kind).map(c => `<option value="${escapeHTML(c.id)}"${c.id === selected ? ' selected' : ''}>${escapeHTML(c.name || 'Unnamed')}</option>`)
+  ).join('');
+}
+
+/**
+ * Total rows per category and per tag, largest first. Rows with several
+ * tags count towards each, so tag totals can add up to more than the total.
+ * @param {Array<{cents: (number|null), category?: string, tags?: Array<string>}>} rows
+ * @param {object} [s] state whose categories name the rows
+ * @returns {{total: number, categories: Array<{id: string, name: string, cents: number}>,
+ *   tags: Array<{name: string, cents: number}>}} `id` is '' for uncategorised rows
+ */
+function categoryBreakdown(rows, s = state) {
+  const byCategory = new Map();
+  const byTag = new Map();
+  rows.forEach(row => {
+    if (!row.cents) return;
+    const id = s.categories.some(c => c.id === row.category) ? row.category : '';
+    byCategory.set(id, (byCategory.get(id) || 0) + row.cents);
+    (row.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = byTag.get(key) || { name: tag, cents: 0 };
+      entry.cents += row.cents;
+      byTag.set(key, entry);
+    });
+  });
+  const sorted = (list) => list.sort((a, b) => b.cents - a.cents);
+  return {
+    total: sumAmounts(rows),
+    categories: sorted([...byCategory].map(([id, cents]) => ({ id, name: categoryName(id, s), cents }))),
+    tags: sorted([...byTag.values()])
+  };
+}
+
+/**
+ * Draw a horizontal bar chart of category totals as inline SVG.
+ * @param {Array<{name: string, cents: number}>} items
+ * @returns {string}
+ */
+function breakdownChartSVG(items) {
+  const barHeight = 22;
+  const gap = 8;
+  const largest = Math.max(...items.map(item => Math.abs(item.cents)), 1);
+  const height = items.length * (barHeight + gap) - gap;
+  const description = items.map(item => `${item.name} ${formatMoney(item.cents)}`).join(', ');
+  const bars = items.map((item, i) => {
+    const width = Math.max(1, Math.round(Math.abs(item.cents) / largest * 1000) / 10);
+    const y = i * (barHeight + gap);
+    return `<rect x="0" y="${y}" width="${width}%" height="${barHeight}" rx="4" fill="${CHART_COLOURS[i % CHART_COLOURS.length]}"></rect>`;
+  }).join('');
+  return `<svg class="breakdown-chart" width="100%" height="${height}" role="img" aria-label="${escapeHTML(description)}">${bars}</svg>`;
+}
+
+/**
+ * Build a breakdown of rows: the chart, then totals per category and per tag.
+ * @param {Array<object>} rows
+ * @param {object} [s] state whose categories name the rows
+ * @param {{budgets?: boolean}} [options] compare each total with its category's weekly budget
+ * @returns {string}
+ */
+function breakdownHTML(rows, s = state, { budgets = false } = {}) {
+  const { total, categories, tags } = categoryBreakdown(rows, s);
+  if (!categories.length) return '<p class="label">Nothing entered</p>';
+  const share = (cents) => total ? ` <span class="label">${Math.round(cents / total * 100)}%</span>` : '';
+  const budget = (item) => {
+    const category = budgets && s.categories.find(c => c.id === item.id);
+    if (!category || category.budgetCents == null) return '';
+    const over = item.cents > category.budgetCents;
+    return ` <span class="label${over ? ' negative' : ''}">${over ? 'over budget of' : 'of'} ${formatMoney(category.budgetCents)}</span>`;
+  };
+  return `
+    ${breakdownChartSVG(categories)}
+    ${categories.map((item, i) => `
+      <div class="summary-row">
+        <span><span class="swatch" style="background:${CHART_COLOURS[i % CHART_COLOURS.length]}"></span>${escapeHTML(item.name)}${share(item.cents)}${budget(item)}</span>
+        ${valueHTML(item.cents)}
+      </div>
+    `).join('')}
+    <div class="summary-row total"><span>Total</span>${valueHTML(total)}</div>
+    ${tags.length ? `
+      <h4 class="label">Tags</h4>
+      ${tags.map(tag => `<div class="summary-row"><span>#${escapeHTML(tag.name)}</span>${valueHTML(tag.cents)}</div>`).join('')}
+    ` : ''}
+  `;
+}
+
+/**
+ * Rows of one kind in a week, recurring items included.
+ * @param {object} week state or archived week
+ * @param {'income'|'outgoing'} kind
+ * @param {boolean} [next] next week's sections instead of this week's
+ * @returns {Array<object>}
+ */
+function weekRowsOfKind(week, kind, next = false) {
+  const keys = next ? ['incomeNextWeek', 'outgoingNextWeek'] : ['cashFlowExtra', 'incomeRows', 'outgoingThisWeek'];
+  const rows = keys.filter(key => rowKind(key) === kind).flatMap(key => sectionRows(week, key));
+  // Logged takings move the Sales total as they do the week's income
+  const sales = kind === 'income' && !next ? weekSales(week) : null;
+  if (sales && sales.expected !== sales.projected) {
+    rows.push({ desc: 'Logged sales', cents: sales.expected - sales.projected, category: SALES_CATEGORY });
+  }
+  return rows;
+}
+
+/** Build the Summary page's breakdown section for the chosen period and kind. */
+function summaryBreakdownHTML() {
+  const archived = state.history.slice().reverse();
+  let { period, kind } = breakdownView;
+  const week = archived.find(w => w.weekStart === period);
+  if (!week && period !== 'next') period = 'this';
+  const rows = week ? weekRowsOfKind(week, kind) : weekRowsOfKind(state, kind, period === 'next');
+  const option = (value, text, current) => `<option value="${escapeHTML(value)}"${value === current ? ' selected' : ''}>${escapeHTML(text)}</option>`;
+  return `
+    <section class="section mt">
+      <header>
+        <h3>Breakdown</h3>
+        <div class="controls">
+          <select id="breakdownKind" class="setting" aria-label="Income or outgoing">
+            ${option('outgoing', 'Outgoing', kind)}${option('income', 'Income', kind)}
+          </select>
+          <select id="breakdownPeriod" class="setting" aria-label="Week">
+            ${option('this', 'This week', period)}${option('next', 'Next week', period)}
+            ${archived.map(w => option(w.weekStart, weekLabel(w.weekStart), period)).join('')}
+          </select>
+        </div>
+      </header>
+      ${breakdownHTML(rows, state, { budgets: !week && kind === 'outgoing' })}
+    </section>
+  `;
+}
+
+// ----------------------
+// Router
+// ----------------------
+
+const navLinks = [...document.querySelectorAll('[data-route]')];
+
+/** Activate the correct nav item and render the matching page. */
+function setActiveRoute() {
+  startView();
+  const hash = location.hash || '#/';
+  navLinks.forEach(a => {
+    const route = '#' + a.dataset.route;
+    // Pages under a route, e.g. an archived week, keep its link current;
+    // every route starts with Home's '#/', so Home must match exactly
+    const active = hash === route || (route !== '#/' && hash.startsWith(route + '/'));
+    a.classList.toggle('active', active);
+    a.setAttribute('aria-current', active ? 'page' : 'false');
+  });
+  const route = hash.replace('#', '');
+  if (route === '/cash') return renderCashPage();
+  if (route === '/income') return renderIncomePage();
+  if (route === '/summary') return renderSummary();
+  if (route === '/history') return renderHistory();
+  if (route === '/recurring') return renderRecurringPage();
+  if (route === '/settings') return renderSettings();
+  if (route === '/account') return renderAccount();
+  if (route === '/report') return renderReport();
+  if (route === '/reconcile') return renderReconcile();
+  if (route === '/sales') return renderSalesPage();
+  if (route.startsWith('/view/')) return renderSharedView(route.slice('/view/'.length));
+  if (route.startsWith('/report/')) return renderReport(decodeURIComponent(route.slice('/report/'.length)));
+  if (route.startsWith('/forecast/')) return renderForecastWeek(Number(route.slice('/forecast/'.length)));
+  if (route.startsWith('/history/')) return renderHistoryWeek(decodeURIComponent(route.slice('/history/'.length)));
+  return renderHome();
+}
+window.addEventListener('hashchange', () => {
+  setActiveRoute();
+  focusHeading();
+});
+
+// ----------------------
+// CSV Export
+// ----------------------
+
+/**
+ * Column layout of the exported CSV. The bookkeeper imports these files, so
+ * existing columns must never be renamed or reordered; only append new ones.
+ */
+const CSV_COLUMNS = ['Week', 'Section', 'Description', 'Quantity', 'Amount', 'Category', 'Tags', 'GST Status', 'GST', 'Recurring', 'Profile'];
+
+/** Columns every importable CSV has; files exported before later columns were added stop here. */
+const CSV_REQUIRED_COLUMNS = 5;
+
+/** Profile that counts from CSV files without a Profile column are imported into. */
+const CSV_COMBINED_PROFILE = 'Imported count';
+
+/** Section labels written to the CSV, keyed by state.income section. */
+const CSV_SECTIONS = {
+  cashFlowExtra: 'Cash Flow',
+  incomeRows: 'Income',
+  outgoingThisWeek: 'Outgoing This Week',
+  outgoingNextWeek: 'Outgoing Next Week',
+  incomeNextWeek: 'Income Next Week'
+};
+
+/**
+ * Escape a single CSV field per RFC 4180: fields containing commas, quotes or
+ * line breaks are wrapped in double quotes with embedded quotes doubled.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Label a denomination for the CSV, e.g. "$50.00 note" or "£0.20 coin". The
+ * layout is fixed regardless of locale so snapshotFromCsv() can read it back.
+ * @param {{kind: string, value: number}} d see allDenoms()
+ * @returns {string}
+ */
+function csvDenomLabel({ kind, value }) {
+  const parts = new Intl.NumberFormat('en', { style: 'currency', currency: currency().code, currencyDisplay: 'narrowSymbol' })
+    .formatToParts(value);
+  return `${parts.find(part => part.type === 'currency').value}${value.toFixed(2)} ${kind}`;
+}
+
+/**
+ * Build the CSV rows (header included) for the current state.
+ * @param {string} week ISO date of the week being exported
+ * @returns {Array<Array<string>>}
+ */
+function buildCsvRows(week) {
+  const money = (cents) => centsToDecimal(cents);
+  const rows = [CSV_COLUMNS];
+  if (state.openingCents) rows.push([week, 'Opening', 'Opening balance', '', money(state.openingCents)]);
+  // Cash count: one row per denomination for each profile, named in the last column
+  const profileColumn = (cols, name) => cols.concat(Array(CSV_COLUMNS.length - 1 - cols.length).fill(''), name);
+  state.cash.profiles.forEach(p => allDenoms().forEach(d => {
+    const qty = Number(p.quantities[d.key] || 0);
+    rows.push(profileColumn([week, 'Cash', csvDenomLabel(d), String(qty), money(qty * denomCents(d.value))], p.name));
+  }));
+  // Each profile's count, float and cash to bank
+  cashTotals(state.cash, currency()).profiles.forEach(p => {
+    rows.push(profileColumn([week, 'Till', `${p.name} count`, '', money(p.total)], p.name));
+    rows.push(profileColumn([week, 'Till', `${p.name} float`, '', money(p.float)], p.name));
+    rows.push(profileColumn([week, 'Till', `${p.name} to bank`, '', money(p.toBank)], p.name));
+  });
+  // Line items for every income/outgoing section, with the GST in each.
+  // Rows due from recurring items are marked so an import can pass over
+  // them: the items themselves add them again.
+  const { taxRate } = state.settings;
+  Object.keys(CSV_SECTIONS).forEach(key => {
+    sectionRows(state, key).forEach(row => {
+      const category = state.categories.find(c => c.id === row.category);
+      rows.push([
+        week, CSV_SECTIONS[key], row.desc || '', '', money(row.cents), category ? category.name : '', (row.tags || []).join(', '),
+        ...(taxApplies(key) ? [row.tax === 'exempt' ? 'Exempt' : 'Inclusive', money(rowTax(row, taxRate))] : ['', '']),
+        row.recurringId ? 'Yes' : ''
+      ]);
+    });
+  });
+  // Computed totals, matching the Cash and Summary pages
+  const cash = cashTotals(state.cash, currency());
+  const summary = summaryTotals(state, currency());
+  const tax = weekTax(state, taxRate);
+  const quarter = quarterTax(state, taxRate);
+  [
+    ['Notes subtotal', cash.notesSubtotal],
+    ['Coins subtotal', cash.coinsSubtotal],
+    ['Cash total', cash.total],
+    ['Income total', summary.incomeTotal],
+    ['Outgoing this week', summary.expThis],
+    ['Remaining this week', summary.thisRemaining],
+    ['Cash on hand next week', summary.nextStart],
+    ['Outgoing next week', summary.expNext],
+    ['Remaining next week', summary.nextRemaining],
+    ['Income next week', summary.incomeNext],
+    ['GST collected', tax.collected],
+    ['GST paid', tax.paid],
+    ['Net GST owing', tax.net],
+    ['GST collected quarter to date', quarter.collected],
+    ['GST paid quarter to date', quarter.paid],
+    ['Net GST owing quarter to date', quarter.net]
+  ].forEach(([label, n]) => rows.push([week, 'Totals', label, '', money(n)]));
+  // Every row gets every column, blank where it does not apply
+  return rows.map(row => row.concat(Array(CSV_COLUMNS.length - row.length).fill('')));
+}
+
+/**
+ * Offer `content` to the user as a file download.
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type MIME type
+ */
+function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Export the current cash count, line items and totals as a CSV download. */
+function exportCSV() {
+  const week = state.weekStart;
+  const csv = buildCsvRows(week).map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+  downloadFile(`cashflow${workspaceFileTag()}-${week}.csv`, csv, 'text/csv;charset=utf-8');
+  indicateSaving();
+}
+
+/** Download the open workspace's full state as a JSON backup. */
+function exportJSON() {
+  downloadFile(`cashflow${workspaceFileTag()}-backup-${state.weekStart}.json`, JSON.stringify(state, null, 2), 'application/json');
+  indicateSaving();
+}
+document.body.addEventListener('click', (e) => {
+  if (e.target && e.target.id === 'exportCsv') exportCSV();
+  if (e.target && e.target.id === 'exportJson') exportJSON();
+});
+
+// ----------------------
+// Import (CSV export or JSON backup)
+// ----------------------
+
+/** Import awaiting confirmation: `{ fileName, snapshot, modes }`, or null. */
+let pendingImport = null;
+/** Last import error shown on the Home page. */
+let importError = '';
+
+/**
+ * Parse RFC 4180 CSV text into an array of rows.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted field.');
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Convert rows produced by exportCSV() back into a raw snapshot object.
+ * Categories come by name and are matched to existing ones when the import
+ * is applied. Cash rows carry each profile's counts and Till rows its float, matched to
+ * profiles by name; files from before the Profile column hold combined counts, imported
+ * as a profile of their own so they are never merged into one till. Other Till and
+ * Totals rows are ignored since they are recomputed from the imported data, and so are
+ * rows due from recurring items, which the recurring items already here add again.
+ * @param {Array<Array<string>>} rows
+ * @returns {object}
+ */
+function snapshotFromCsv(rows) {
+  const [header, ...body] = rows;
+  if (!header || header.length < CSV_REQUIRED_COLUMNS || header.some((col, i) => col !== CSV_COLUMNS[i])) {
+    throw new Error('CSV columns do not match the Cashflow export format.');
+  }
+  const sectionKeys = Object.fromEntries(Object.entries(CSV_SECTIONS).map(([key, label]) => [label, key]));
+  const snapshot = { cash: { profiles: [] }, income: {}, categories: [] };
+  const profile = (name = CSV_COMBINED_PROFILE) => {
+    let match = snapshot.cash.profiles.find(p => p.name === name);
+    if (!match) snapshot.cash.profiles.push(match = { name, quantities: {} });
+    return match;
+  };
+  // Categories are written by name; give each distinct name an id
+  const categoryId = (name, kind) => {
+    if (!name) return '';
+    let category = snapshot.categories.find(c => c.kind === kind && c.name.toLowerCase() === name.toLowerCase());
+    if (!category) snapshot.categories.push(category = { id: newId(), kind, name });
+    return category.id;
+  };
+  Object.keys(CSV_SECTIONS).forEach(key => snapshot.income[key] = []);
+  body.forEach((cols, i) => {
+    if (cols.length === 1 && cols[0] === '') return;
+    const [, section, desc, qty, amount, category, tags, taxStatus, , recurring, profileName] = cols;
+    if (section === 'Opening') {
+      snapshot.openingCash = amount;
+    } else if (section === 'Cash') {
+      // Descriptions are the currency symbol, value and kind, e.g. "$50.00 note";
+      // files from before notes and coins were told apart have no kind
+      const [, value, kind] = /^[^\d.]*([\d.]+)\s*(note|coin)?$/.exec(String(desc).trim()) || [];
+      const denom = kind ? denomKey(kind, Number(value)) : String(Number(value));
+      profile(profileName).quantities[denom] = qty;
+    } else if (section === 'Till' && profileName !== undefined && desc === `${profileName} float`) {
+      // No float is written as 0.00; leave the profile's own alone
+      if (decimalToCents(amount)) profile(profileName).float = amount;
+    } else if (sectionKeys[section]) {
+      // Due from a recurring item, which is not part of the CSV
+      if (recurring === 'Yes') return;
+      const key = sectionKeys[section];
+      snapshot.income[key].push({
+        desc, amount, category: categoryId((category || '').trim(), rowKind(key)), tags: parseTags(tags),
+        // Cash flow lines and files from before the GST columns have no status
+        tax: taxStatus === 'Inclusive' ? 'inclusive' : 'exempt'
+      });
+    } else if (section !== 'Totals' && section !== 'Till') {
+      throw new Error(`Unknown section "${section}" on line ${i + 2}.`);
+    }
+  });
+  if (!snapshot.cash.profiles.length) delete snapshot.cash;
+  return snapshot;
+}
+
+/**
+ * Validate a raw snapshot against the defaultState shape and normalise it.
+ * Sections missing from the snapshot are returned as undefined. Amounts may
+ * be cents (JSON backups) or decimal text (CSV files and older backups).
+ * @param {*} data
+ * @returns {{openingCents: (number|undefined), cash: ({profiles: Array<object>, countedBy: string}|undefined),
+ *   income: object, futureWeeks: (Array<object>|undefined), recurring: (Array<object>|undefined),
+ *   recurringOverrides: (object|undefined), history: (Array<object>|undefined),
+ *   categories: (Array<object>|undefined), sales: (Array<object>|undefined)}}
+ */
+function validateSnapshot(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('File does not contain a cashflow snapshot.');
+  }
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to import it.');
+  }
+  // Lines in backups from before the GST flag are exempt, as the 5 → 6
+  // migration makes saved ones
+  if (!(data.schemaVersion >= 6)) MIGRATIONS[5](data);
+  const result = { cash: undefined, income: {} };
+  const opening = importedCents(data, 'openingCents', 'openingCash');
+  if (Number.isNaN(opening)) throw new Error(`Invalid opening balance "${data.openingCents ?? data.openingCash}".`);
+  if (opening != null) result.openingCents = opening;
+  if (data.categories !== undefined) {
+    if (!Array.isArray(data.categories)) throw new Error('categories must be a list of categories.');
+    result.categories = data.categories.map((c, i) => {
+      if (!c || !c.id || !['income', 'outgoing'].includes(c.kind)) throw new Error(`categories[${i}] is not a valid category.`);
+      const budgetCents = c.kind === 'outgoing' && Number.isSafeInteger(c.budgetCents) && c.budgetCents >= 0 ? c.budgetCents : null;
+      return { id: String(c.id), kind: c.kind, name: c.name == null ? '' : String(c.name), budgetCents };
+    });
+  }
+  if (data.history !== undefined) {
+    if (!Array.isArray(data.history)) throw new Error('history must be a list of archived weeks.');
+    result.history = data.history.map((week, i) => {
+      if (!week || !/^\d{4}-\d{2}-\d{2}$/.test(week.weekStart)) throw new Error(`history[${i}] has no valid week date.`);
+      const inner = validateSnapshot({ ...week, schemaVersion: data.schemaVersion, history: undefined, categories: undefined });
+      return {
+        weekStart: week.weekStart,
+        closedAt: String(week.closedAt || ''),
+        openingCents: inner.openingCents || 0,
+        cash: inner.cash || structuredClone(defaultState.cash),
+        income: { ...structuredClone(defaultState.income), ...inner.income },
+        sales: (inner.sales || []).map(({ date, cents, cash }) => ({ date, cents, cash })),
+        ...(validTaxRate(week.taxRate) ? { taxRate: week.taxRate } : {})
+      };
+    });
+  }
+  if (data.cash !== undefined) {
+    if (!data.cash || typeof data.cash !== 'object') throw new Error('cash must be an object.');
+    // CSV files and backups from before cash profiles hold a single set of counts
+    const profiles = Array.isArray(data.cash.profiles)
+      ? data.cash.profiles
+      : [{ ...defaultState.cash.profiles[0], quantities: data.cash.quantities }];
+    if (!profiles.length) throw new Error('cash.profiles must contain at least one profile.');
+    result.cash = {
+      profiles: profiles.map((profile, i) => {
+        if (!profile || typeof profile !== 'object') throw new Error(`cash.profiles[${i}] is not a profile.`);
+        const name = profile.name == null ? `Profile ${i + 1}` : String(profile.name);
+        const floatCents = importedCents(profile, 'floatCents', 'float') ?? null;
+        if (Number.isNaN(floatCents)) throw new Error(`Invalid float "${profile.floatCents ?? profile.float}" for ${name}.`);
+        return { id: String(profile.id || newId()), name, floatCents, quantities: validateQuantities(profile.quantities) };
+      }),
+      countedBy: data.cash.countedBy == null ? '' : String(data.cash.countedBy)
+    };
+  }
+  if (data.income !== undefined && (!data.income || typeof data.income !== 'object')) {
+    throw new Error('income must be an object of line item lists.');
+  }
+  Object.keys(defaultState.income).forEach(key => {
+    const rows = data.income && data.income[key];
+    if (rows !== undefined) result.income[key] = validateRows(rows, `income.${key}`, CSV_SECTIONS[key]);
+  });
+  if (data.recurring !== undefined) {
+    if (!Array.isArray(data.recurring)) throw new Error('recurring must be a list of recurring items.');
+    result.recurring = data.recurring.map((item, i) => {
+      const [row] = validateRows([item], `recurring[${i}]`, 'recurring items');
+      if (!item.id || !['income', 'outgoing'].includes(item.kind) || !RECURRING_FREQUENCIES[item.frequency]) {
+        throw new Error(`recurring[${i}] is not a valid recurring item.`);
+      }
+      const start = /^\d{4}-\d{2}-\d{2}$/.test(item.start) ? item.start : state.weekStart;
+      const day = Math.min(31, Math.max(1, Math.floor(Number(item.day)) || 1));
+      return { id: String(item.id), kind: item.kind, ...row, frequency: item.frequency, day, start };
+    });
+    const overrides = data.recurringOverrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('recurringOverrides must be an object.');
+    result.recurringOverrides = {};
+    Object.entries(overrides).forEach(([week, items]) => {
+      result.recurringOverrides[week] = {};
+      Object.entries(items || {}).forEach(([id, o]) => {
+        const cents = o ? importedCents(o, 'cents', 'amount') : null;
+        if (o && o.skip) result.recurringOverrides[week][id] = { skip: true };
+        else if (cents != null && !Number.isNaN(cents)) result.recurringOverrides[week][id] = { cents };
+      });
+    });
+  }
+  if (data.futureWeeks !== undefined) {
+    if (!Array.isArray(data.futureWeeks)) throw new Error('futureWeeks must be a list of forecast weeks.');
+    result.futureWeeks = data.futureWeeks.map((week, i) => ({
+      incomeRows: validateRows((week && week.incomeRows) || [], `futureWeeks[${i}].incomeRows`, `week ${i + 3} income`),
+      outgoingRows: validateRows((week && week.outgoingRows) || [], `futureWeeks[${i}].outgoingRows`, `week ${i + 3} outgoing`)
+    }));
+  }
+  if (data.sales !== undefined) result.sales = validateSales(data.sales);
+  return result;
+}
+
+/**
+ * Validate a daily sales log, keeping the last entry given for each day.
+ * @param {*} entries
+ * @returns {Array<{id: string, date: string, cents: (number|null), cash: (object|null)}>}
+ */
+function validateSales(entries) {
+  if (!Array.isArray(entries)) throw new Error('sales must be a list of days.');
+  const days = new Map();
+  entries.forEach((entry, i) => {
+    if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) throw new Error(`sales[${i}] has no valid date.`);
+    const cents = importedCents(entry, 'cents', 'amount') ?? null;
+    if (Number.isNaN(cents)) throw new Error(`Invalid takings "${entry.cents ?? entry.amount}" for ${formatDateISO(entry.date)}.`);
+    const cash = entry.cash && Number.isSafeInteger(entry.cash.total)
+      ? { takenAt: String(entry.cash.takenAt || ''), total: entry.cash.total, quantities: validateQuantities(entry.cash.quantities || {}) }
+      : null;
+    days.set(entry.date, { id: salesEntryId(entry.date), date: entry.date, cents, cash });
+  });
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Validate denomination counts, dropping empty and zero counts. Counts are
+ * keyed as denomKey() does; backups and CSV files from before notes and coins
+ * were keyed apart use the bare value, which names the note when the currency
+ * has one of that value.
+ * @param {*} quantities
+ * @returns {Object<string, number>}
+ */
+function validateQuantities(quantities) {
+  if (!quantities || typeof quantities !== 'object' || Array.isArray(quantities)) {
+    throw new Error('cash quantities must be an object of denomination counts.');
+  }
+  const denoms = allDenoms();
+  const result = {};
+  Object.entries(quantities).forEach(([denom, qty]) => {
+    const match = denoms.find(d => d.key === denom) || denoms.find(d => String(d.value) === denom);
+    if (!match) throw new Error(`Unknown denomination "${denom}".`);
+    if (qty === '' || qty == null) return;
+    const n = Number(qty);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid quantity "${qty}" for ${formatMoney(denomCents(match.value))}.`);
+    if (n) result[match.key] = n;
+  });
+  return result;
+}
+
+/**
+ * Read an imported amount: whole cents under `key`, or decimal text such as
+ * "12.50" under `legacyKey` as written to CSV files and older backups.
+ * @param {object} obj
+ * @param {string} key
+ * @param {string} legacyKey
+ * @returns {number|null|undefined} undefined when absent, null when blank, NaN when invalid
+ */
+function importedCents(obj, key, legacyKey) {
+  if (obj[key] !== undefined) return obj[key] === null || Number.isSafeInteger(obj[key]) ? obj[key] : NaN;
+  if (obj[legacyKey] !== undefined) return decimalToCents(obj[legacyKey]);
+  return undefined;
+}
+
+/**
+ * Validate and normalise a list of `{desc, cents, category, tags}` line items.
+ * @param {*} rows
+ * @param {string} path location in the snapshot, for error messages
+ * @param {string} label human-readable section name, for error messages
+ * @returns {Array<{desc: string, cents: (number|null), category: string, tags: Array<string>, tax: string}>}
+ */
+function validateRows(rows, path, label) {
+  if (!Array.isArray(rows)) throw new Error(`${path} must be a list of rows.`);
+  return rows.map((row, i) => {
+    if (!row || typeof row !== 'object') throw new Error(`${path}[${i}] is not a row.`);
+    const desc = row.desc == null ? '' : String(row.desc);
+    const cents = importedCents(row, 'cents', 'amount') ?? null;
+    if (Number.isNaN(cents)) {
+      throw new Error(`Invalid amount "${row.cents ?? row.amount}" for "${desc}" in ${label}.`);
+    }
+    if (row.tags !== undefined && !Array.isArray(row.tags)) throw new Error(`${path}[${i}].tags must be a list of tags.`);
+    return {
+      desc, cents, category: row.category == null ? '' : String(row.category), tags: parseTags((row.tags || []).join(',')),
+      tax: row.tax === 'exempt' ? 'exempt' : 'inclusive'
+    };
+  });
+}
+
+/**
+ * Merge incoming line items into the current list. Rows with a matching
+ * description (case-insensitive) take the incoming amount and GST flag, and
+ * its category and tags when it has them; others are appended.
+ * @param {Array<{desc: string, cents: (number|null)}>} current
+ * @param {Array<{desc: string, cents: (number|null)}>} incoming
+ * @returns {Array<{desc: string, cents: (number|null)}>}
+ */
+function mergeRows(current, incoming) {
+  const key = (row) => (row.desc || '').trim().toLowerCase();
+  const merged = current.map(row => ({ ...row }));
+  incoming.forEach(row => {
+    const match = key(row) && merged.find(r => key(r) === key(row));
+    if (match) {
+      match.cents = row.cents;
+      match.tax = row.tax;
+      if (row.category) match.category = row.category;
+      if (row.tags.length) match.tags = row.tags.slice();
+    } else {
+      merged.push({ ...row });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Add the snapshot's categories to `next`, reusing any with the same id or
+ * the same kind and name, and point the snapshot's rows at them.
+ * @param {object} next state being built (modified in place)
+ * @param {object} snapshot from validateSnapshot()
+ * @returns {object} a copy of the snapshot with category ids matching `next`
+ */
+function importCategories(next, snapshot) {
+  const copy = structuredClone(snapshot);
+  const ids = {};
+  (copy.categories || []).forEach(incoming => {
+    const match = next.categories.find(c => c.id === incoming.id) || next.categories.find(c =>
+      c.kind === incoming.kind && c.name.trim().toLowerCase() === incoming.name.trim().toLowerCase());
+    if (match) ids[incoming.id] = match.id;
+    else next.categories.push({ ...incoming });
+  });
+  const remap = (rows) => (rows || []).forEach(row => { if (ids[row.category]) row.category = ids[row.category]; });
+  Object.values(copy.income).forEach(remap);
+  remap(copy.recurring);
+  (copy.futureWeeks || []).forEach(week => { remap(week.incomeRows); remap(week.outgoingRows); });
+  (copy.history || []).forEach(week => Object.values(week.income).forEach(remap));
+  return copy;
+}
+
+/**
+ * Work out the state each section would have after applying the import.
+ * @param {{snapshot: object, modes: object}} pending
+ * @returns {object} next state
+ */
+function applyImportModes(pending) {
+  const next = structuredClone(state);
+  const { snapshot: raw, modes } = pending;
+  const snapshot = importCategories(next, raw);
+  if (snapshot.openingCents !== undefined && modes.opening === 'replace') next.openingCents = snapshot.openingCents;
+  if (snapshot.recurring && modes.recurring === 'replace') {
+    next.recurring = structuredClone(snapshot.recurring);
+    next.recurringOverrides = structuredClone(snapshot.recurringOverrides);
+  }
+  if (snapshot.futureWeeks && modes.forecast === 'replace') next.futureWeeks = structuredClone(snapshot.futureWeeks);
+  if (snapshot.history && modes.history === 'replace') next.history = structuredClone(snapshot.history);
+  if (snapshot.history && modes.history === 'merge') {
+    // Add weeks we don't have yet; weeks already archived here are left alone
+    const known = new Set(next.history.map(w => w.weekStart));
+    next.history = next.history
+      .concat(structuredClone(snapshot.history.filter(w => !known.has(w.weekStart))))
+      .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+  }
+  if (snapshot.sales && modes.sales !== 'keep') {
+    // Only days of this week count towards it
+    const days = weekDays(next.weekStart);
+    const incoming = structuredClone(snapshot.sales.filter(entry => days.includes(entry.date)));
+    next.sales = modes.sales === 'replace' ? incoming : next.sales
+      .filter(entry => !incoming.some(e => e.date === entry.date))
+      .concat(incoming)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  if (snapshot.cash && modes.cash === 'replace') {
+    next.cash = { profiles: structuredClone(snapshot.cash.profiles), active: snapshot.cash.profiles[0].id, countedBy: snapshot.cash.countedBy };
+  }
+  if (snapshot.cash && modes.cash === 'merge') {
+    // Counts go into the profile with the same id or name; unknown profiles are added
+    const sameName = (a, b) => (a.name || '').trim().toLowerCase() === (b.name || '').trim().toLowerCase();
+    snapshot.cash.profiles.forEach(incoming => {
+      const match = next.cash.profiles.find(p => p.id === incoming.id) || next.cash.profiles.find(p => sameName(p, incoming));
+      if (!match) {
+        next.cash.profiles.push(structuredClone(incoming));
+        return;
+      }
+      Object.assign(match.quantities, incoming.quantities);
+      if (incoming.floatCents !== null) match.floatCents = incoming.floatCents;
+    });
+  }
+  Object.keys(CSV_SECTIONS).forEach(key => {
+    const rows = snapshot.income[key];
+    if (!rows) return;
+    if (modes[key] === 'replace') next.income[key] = rows.map(row => ({ ...row }));
+    if (modes[key] === 'merge') next.income[key] = mergeRows(next.income[key], rows);
+  });
+  return next;
+}
+
+/**
+ * Describe the differences between two lists of line items, keyed by description.
+ * @returns {Array<{type: 'added'|'removed'|'changed', text: string}>}
+ */
+function diffRows(before, after) {
+  const key = (row) => (row.desc || '').trim().toLowerCase();
+  const label = (row) => `${row.desc || '(no description)'} ${row.cents == null ? '' : formatMoney(row.cents)}`.trim();
+  const changes = [];
+  const remaining = before.map(row => ({ ...row }));
+  after.forEach(row => {
+    const idx = remaining.findIndex(r => key(r) === key(row));
+    if (idx === -1) { changes.push({ type: 'added', text: label(row) }); return; }
+    const [old] = remaining.splice(idx, 1);
+    if (old.cents !== row.cents) {
+      changes.push({ type: 'changed', text: `${row.desc}: ${formatMoney(old.cents || 0)} → ${formatMoney(row.cents || 0)}` });
+    }
+  });
+  remaining.forEach(row => changes.push({ type: 'removed', text: label(row) }));
+  return changes;
+}
+
+/**
+ * Describe the differences between two sets of cash profiles: profiles added
+ * or removed, and changed floats and denomination counts.
+ * @returns {Array<{type: 'added'|'removed'|'changed', text: string}>}
+ */
+function diffCash(before, after) {
+  const changes = [];
+  after.profiles.forEach(profile => {
+    const old = before.profiles.find(p => p.id === profile.id);
+    const name = profile.name || 'Unnamed';
+    if (!old) {
+      changes.push({ type: 'added', text: `${name} ${formatMoney(profileTotals(profile, currency()).total)}` });
+      return;
+    }
+    if (old.floatCents !== profile.floatCents) {
+      changes.push({ type: 'changed', text: `${name} float: ${formatMoney(old.floatCents || 0)} → ${formatMoney(profile.floatCents || 0)}` });
+    }
+    allDenoms().forEach(({ kind, value, key }) => {
+      const from = Number(old.quantities[key] || 0);
+      const to = Number(profile.quantities[key] || 0);
+      if (from !== to) changes.push({ type: 'changed', text: `${name} ${formatMoney(denomCents(value))} ${kind}: ${from} → ${to}` });
+    });
+  });
+  before.profiles.filter(p => !after.profiles.some(q => q.id === p.id))
+    .forEach(p => changes.push({ type: 'removed', text: p.name || 'Unnamed' }));
+  return changes;
+}
+
+/**
+ * Describe the differences between two daily sales logs, day by day.
+ * @returns {Array<{type: 'added'|'removed'|'changed', text: string}>}
+ */
+function diffSales(before, after) {
+  const takings = (entry) => entry.cents == null ? 'no takings' : formatMoney(entry.cents);
+  const changes = [];
+  after.forEach(entry => {
+    const old = before.find(e => e.date === entry.date);
+    if (!old) changes.push({ type: 'added', text: `${dayLabel(entry.date)} ${takings(entry)}` });
+    else if (old.cents !== entry.cents) changes.push({ type: 'changed', text: `${dayLabel(entry.date)}: ${takings(old)} → ${takings(entry)}` });
+  });
+  before.filter(entry => !after.some(e => e.date === entry.date))
+    .forEach(entry => changes.push({ type: 'removed', text: `${dayLabel(entry.date)} ${takings(entry)}` }));
+  return changes;
+}
+
+/** Build the Home page import panel: the last error or the pending preview. */
+function renderImportPanel() {
+  if (!pendingImport) {
+    return importError ? `<p class="negative" role="alert">${escapeHTML(importError)}</p>` : '';
+  }
+  const next = applyImportModes(pendingImport);
+  const { snapshot, modes } = pendingImport;
+  const newCategories = next.categories.filter(c => !state.categories.some(known => known.id === c.id));
+  const sections = [
+    ['opening', 'Opening balance', snapshot.openingCents !== undefined],
+    ['cash', 'Cash', !!snapshot.cash]
+  ].concat(
+    Object.entries(CSV_SECTIONS).map(([key, label]) => [key, label, !!snapshot.income[key]]),
+    [
+      ['sales', 'Daily sales', !!snapshot.sales],
+      ['recurring', 'Recurring items', !!snapshot.recurring],
+      ['forecast', 'Forecast weeks', !!snapshot.futureWeeks],
+      ['history', 'History', !!snapshot.history]
+    ]
+  );
+  const body = sections.map(([key, label, present]) => {
+    if (!present) {
+      return `<div class="import-section"><div class="row no-remove"><strong>${label}</strong><span class="label">Not in file</span></div></div>`;
+    }
+    let changes;
+    if (key === 'opening') {
+      changes = next.openingCents === state.openingCents
+        ? []
+        : [{ type: 'changed', text: `${formatMoney(state.openingCents)} → ${formatMoney(next.openingCents)}` }];
+    } else if (key === 'recurring') {
+      changes = diffRows(state.recurring, next.recurring);
+    } else if (key === 'forecast') {
+      const same = JSON.stringify(next.futureWeeks) === JSON.stringify(state.futureWeeks);
+      changes = same ? [] : [{ type: 'changed', text: `${state.futureWeeks.length} → ${next.futureWeeks.length} planned weeks` }];
+    } else if (key === 'history') {
+      const before = new Set(state.history.map(w => w.weekStart));
+      const after = new Set(next.history.map(w => w.weekStart));
+      changes = next.history.filter(w => !before.has(w.weekStart)).map(w => ({ type: 'added', text: weekLabel(w.weekStart) }))
+        .concat(state.history.filter(w => !after.has(w.weekStart)).map(w => ({ type: 'removed', text: weekLabel(w.weekStart) })));
+    } else if (key === 'cash') {
+      changes = diffCash(state.cash, next.cash);
+    } else if (key === 'sales') {
+      changes = diffSales(state.sales, next.sales);
+    } else {
+      changes = diffRows(state.income[key], next.income[key]);
+    }
+    const option = (value, text) => `<option value="${value}"${modes[key] === value ? ' selected' : ''}>${text}</option>`;
+    return `
+      <div class="import-section">
+        <div class="row no-remove">
+          <strong>${label}</strong>
+          <select class="import-mode" data-section="${key}" aria-label="Import mode for ${label}">
+            ${option('keep', 'Keep')}${['opening', 'recurring', 'forecast'].includes(key) ? '' : option('merge', 'Merge')}${option('replace', 'Replace')}
+          </select>
+        </div>
+        ${changes.length
+          ? `<ul class="import-diff">${changes.map(c => `<li class="${c.type}">${escapeHTML(c.text)}</li>`).join('')}</ul>`
+          : '<p class="label">No changes</p>'}
+      </div>
+    `;
+  }).join('');
+  return `
+    <section class="section">
+      <header>
+        <h3>Import preview</h3>
+        <div class="controls">
+          <button class="text-btn" id="applyImport">Apply</button>
+          <button class="text-btn" id="cancelImport">Cancel</button>
+        </div>
+      </header>
+      <p class="label">${escapeHTML(pendingImport.fileName)}${workspaces.list.length > 1
+        ? ` into ${escapeHTML(workspaceName(activeWorkspace()))}`
+        : ''}</p>
+      ${newCategories.length
+        ? `<p class="label">Adds categories: ${escapeHTML(newCategories.map(c => c.name || 'Unnamed').join(', '))}</p>`
+        : ''}
+      ${body}
+    </section>
+  `;
+}
+
+/**
+ * Read an imported file and stage it for preview.
+ * @param {File} file
+ */
+async function loadImportFile(file) {
+  try {
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || text.trim().startsWith('{');
+    startImport(file.name, validateSnapshot(isJson ? JSON.parse(text) : snapshotFromCsv(parseCSV(text))));
+  } catch (err) {
+    console.error('Error importing file', err);
+    pendingImport = null;
+    importError = err instanceof SyntaxError ? 'File is not valid JSON.' : err.message;
+  }
+  renderHome();
+}
+
+/**
+ * Hold a validated snapshot for the Home page's import preview, choosing
+ * default modes: merge sections that carry data and leave the rest untouched.
+ * @param {string} fileName shown in the preview
+ * @param {ReturnType<typeof validateSnapshot>} snapshot
+ */
+function startImport(fileName, snapshot) {
+  const modes = {
+    opening: snapshot.openingCents !== undefined ? 'replace' : 'keep',
+    cash: snapshot.cash && snapshot.cash.profiles.some(p => Object.keys(p.quantities).length) ? 'merge' : 'keep',
+    recurring: snapshot.recurring && snapshot.recurring.length ? 'replace' : 'keep',
+    forecast: snapshot.futureWeeks && snapshot.futureWeeks.length ? 'replace' : 'keep',
+    history: snapshot.history && snapshot.history.length ? 'merge' : 'keep',
+    sales: snapshot.sales && snapshot.sales.length ? 'merge' : 'keep'
+  };
+  Object.keys(CSV_SECTIONS).forEach(key => {
+    modes[key] = snapshot.income[key] && snapshot.income[key].length ? 'merge' : 'keep';
+  });
+  pendingImport = { fileName, snapshot, modes };
+  importError = '';
+}
+
+/** Hook up the Home page import controls. */
+function wireImport() {
+  const input = document.getElementById('importInput');
+  document.getElementById('importFile').addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files && input.files[0]) loadImportFile(input.files[0]);
+  });
+  appEl.querySelectorAll('select.import-mode').forEach(select => {
+    select.addEventListener('change', () => {
+      pendingImport.modes[select.dataset.section] = select.value;
+      renderHome();
+    });
+  });
+  const applyBtn = document.getElementById('applyImport');
+  if (applyBtn) applyBtn.addEventListener('click', () => {
+    state = applyImportModes(pendingImport);
+    saveState({ undoLabel: `Imported ${pendingImport.fileName}` });
+    pendingImport = null;
+    dispatchCashUpdate();
+    renderHome();
+  });
+  const cancelBtn = document.getElementById('cancelImport');
+  if (cancelBtn) cancelBtn.addEventListener('click', () => {
+    pendingImport = null;
+    renderHome();
+  });
+}
+
+// ----------------------
+// Bank reconciliation
+// ----------------------
+
+/** Sections whose rows are checked against the bank statement. */
+const RECONCILE_SECTIONS = ['cashFlowExtra', 'incomeRows', 'outgoingThisWeek'];
+/** Days either side of the week a transaction may fall and still count for it, since payments clear late. */
+const BANK_DATE_SLACK_DAYS = 3;
+/** How dates in a bank CSV may be written, with labels for the column mapping. */
+const BANK_DATE_FORMATS = {
+  ymd: 'Year-month-day (2026-10-19)',
+  dmy: 'Day/month/year (19/10/2026)',
+  mdy: 'Month/day/year (10/19/2026)'
+};
+
+/**
+ * Bank CSV waiting for its columns to be mapped: `{ fileName, rows, header,
+ * date, desc, amount, dateFormat, moneyOut }` where date, desc and amount are
+ * column indexes and moneyOut is 'negative' or 'positive'; or null.
+ */
+let pendingBank = null;
+/** Last bank import error or result shown on the Reconcile page. */
+let bankMessage = '';
+
+/**
+ * Key identifying a planned row to transactions matched to it. Recurring
+ * items have no row of their own, so they are keyed by template.
+ * @param {object} row from sectionRows()
+ * @returns {string}
+ */
+function bankRowKey(row) {
+  return row.recurringId ? `recurring:${row.recurringId}` : row.id;
+}
+
+/**
+ * This week's planned rows that bank transactions can be matched to.
+ * @param {object} [s]
+ * @returns {Array<{key: string, section: string, kind: ('income'|'outgoing'), desc: string, cents: (number|null)}>}
+ */
+function reconcilableRows(s = state) {
+  return RECONCILE_SECTIONS.flatMap(section => sectionRows(s, section).map(row => ({
+    key: bankRowKey(row), section, kind: rowKind(section), desc: row.desc, cents: row.cents
+  })));
+}
+
+/**
+ * Read a date from a bank CSV.
+ * @param {string} text
+ * @param {'ymd'|'dmy'|'mdy'} format
+ * @returns {string|null} ISO date, or null when it is not a valid date
+ */
+function parseBankDate(text, format) {
+  const parts = String(text || '').trim().split(/[^\d]+/).filter(Boolean).slice(0, 3).map(Number);
+  if (parts.length < 3) return null;
+  let [y, m, d] = format === 'ymd' ? parts : format === 'dmy' ? [parts[2], parts[1], parts[0]] : [parts[2], parts[0], parts[1]];
+  if (y < 100) y += 2000;
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return toISODate(date);
+}
+
+/**
+ * Guess the column mapping for a bank CSV from its first row.
+ * @param {Array<Array<string>>} rows
+ * @returns {{header: boolean, date: number, desc: number, amount: number, dateFormat: string, moneyOut: string}}
+ */
+function guessBankColumns(rows) {
+  const first = rows[0] || [];
+  const find = (re, fallback) => {
+    const i = first.findIndex(col => re.test(col));
+    return i === -1 ? fallback : i;
+  };
+  const header = first.some(col => /[a-z]/i.test(col) && !/\d/.test(col));
+  const sample = String((rows[header ? 1 : 0] || [])[find(/date/i, 0)] || '');
+  const dateFormat = /^\d{4}/.test(sample.trim()) ? 'ymd' : currency().locale === 'en-US' ? 'mdy' : 'dmy';
+  return {
+    header,
+    date: header ? find(/date/i, 0) : 0,
+    desc: header ? find(/desc|narrative|details|payee|memo|particulars/i, 1) : 1,
+    amount: header ? find(/amount|value|debit/i, 2) : 2,
+    dateFormat,
+    moneyOut: 'negative'
+  };
+}
+
+/**
+ * Turn the mapped bank CSV into transactions for this week. Rows that cannot
+ * be read, fall outside the week or were imported before are left out. A
+ * statement can list the same transaction twice (two coffees on one day), so
+ * only as many copies of a row are left out as were imported already.
+ * @param {NonNullable<typeof pendingBank>} pending
+ * @returns {{transactions: Array<object>, invalid: number, outside: number, duplicate: number}}
+ */
+function bankTransactionsFromCsv(pending) {
+  const from = addDaysISO(state.weekStart, -BANK_DATE_SLACK_DAYS);
+  const to = addDaysISO(state.weekStart, 6 + BANK_DATE_SLACK_DAYS);
+  // Transactions imported before, counted by date, description and amount
+  const imported = new Map();
+  state.transactions.forEach(t => {
+    const key = `${t.date}|${t.desc}|${t.cents}`;
+    imported.set(key, (imported.get(key) || 0) + 1);
+  });
+  const result = { transactions: [], invalid: 0, outside: 0, duplicate: 0 };
+  pending.rows.slice(pending.header ? 1 : 0).forEach(cols => {
+    if (cols.every(col => !col.trim())) return;
+    const date = parseBankDate(cols[pending.date], pending.dateFormat);
+    const { cents } = parseMoney(cols[pending.amount] || '', moneyFormat());
+    if (!date || cents == null) {
+      result.invalid++;
+      return;
+    }
+    const transaction = {
+      id: newId(),
+      date,
+      desc: String(cols[pending.desc] || '').trim(),
+      cents: pending.moneyOut === 'negative' ? cents : -cents,
+      rowKey: null,
+      confirmed: false
+    };
+    const key = `${transaction.date}|${transaction.desc}|${transaction.cents}`;
+    if (date < from || date > to) {
+      result.outside++;
+    } else if (imported.get(key)) {
+      imported.set(key, imported.get(key) - 1);
+      result.duplicate++;
+    } else {
+      result.transactions.push(transaction);
+    }
+  });
+  return result;
+}
+
+/**
+ * Suggest a planned row for every transaction not yet matched: one of the
+ * right kind with exactly the same amount, preferring a description sharing
+ * a word with the transaction's. Each row takes at most one suggestion, and
+ * confirmed matches are left alone.
+ * @param {object} [s] modified in place
+ */
+function autoMatchTransactions(s = state) {
+  const rows = reconcilableRows(s);
+  const taken = new Set(s.transactions.filter(t => t.rowKey && rows.some(r => r.key === t.rowKey)).map(t => t.rowKey));
+  const words = (text) => new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2));
+  s.transactions.filter(t => !t.confirmed && !taken.has(t.rowKey)).forEach(t => {
+    const kind = t.cents < 0 ? 'outgoing' : 'income';
+    const candidates = rows.filter(r => r.kind === kind && r.cents === Math.abs(t.cents) && !taken.has(r.key));
+    const tWords = words(t.desc);
+    const best = candidates.find(r => [...words(r.desc)].some(w => tWords.has(w))) || candidates[0];
+    t.rowKey = best ? best.key : null;
+    if (best) taken.add(best.key);
+  });
+}
+
+/**
+ * Compare this week's planned rows with the transactions matched to them.
+ * @param {object} [s]
+ * @returns {{rows: Array<{key: string, desc: string, kind: string, planned: number, actual: number,
+ *   variance: number, transactions: Array<object>}>, unmatchedTransactions: Array<object>,
+ *   unmatchedRows: Array<object>}} actual amounts are positive for both kinds, like planned ones
+ */
+function reconciliation(s = state) {
+  const rows = reconcilableRows(s).map(row => {
+    const transactions = s.transactions.filter(t => t.rowKey === row.key);
+    const actual = transactions.reduce((sum, t) => sum + Math.abs(t.cents), 0);
+    const planned = row.cents || 0;
+    return { key: row.key, desc: row.desc, kind: row.kind, planned, actual, variance: actual - planned, transactions };
+  });
+  return {
+    rows,
+    unmatchedTransactions: s.transactions.filter(t => !rows.some(r => r.key === t.rowKey)),
+    unmatchedRows: rows.filter(r => r.planned && !r.transactions.length)
+  };
+}
+
+/**
+ * Read a bank CSV and stage it for column mapping.
+ * @param {File} file
+ */
+async function loadBankFile(file) {
+  try {
+    const rows = parseCSV(await file.text()).filter(cols => cols.some(col => col.trim()));
+    if (!rows.length) throw new Error('The file has no transactions.');
+    pendingBank = { fileName: file.name, rows, ...guessBankColumns(rows) };
+    bankMessage = '';
+  } catch (err) {
+    console.error('Error reading bank file', err);
+    pendingBank = null;
+    bankMessage = err.message;
+  }
+  renderReconcile();
+}
+
+/** Build the column mapping step for a staged bank CSV. */
+function bankMappingHTML() {
+  const { fileName, rows, header } = pendingBank;
+  const names = rows[0].map((col, i) => header ? col || `Column ${i + 1}` : `Column ${i + 1} (${col})`);
+  const columnSelect = (field, label) => `
+    <div class="row setting-row">
+      <label class="label" for="bank-${field}">${label}</label>
+      <select class="setting" id="bank-${field}" data-field="${field}">
+        ${names.map((name, i) => `<option value="${i}"${pendingBank[field] === i ? ' selected' : ''}>${escapeHTML(name)}</option>`).join('')}
+      </select>
+    </div>
+  `;
+  const option = (field, value, label) => `<option value="${value}"${pendingBank[field] === value ? ' selected' : ''}>${label}</option>`;
+  const preview = bankTransactionsFromCsv(pendingBank);
+  return `
+    <section class="section">
+      <header>
+        <h3>Map columns</h3>
+        <div class="controls">
+          <button class="text-btn" id="applyBank" type="button">Import</button>
+          <button class="text-btn" id="cancelBank" type="button">Cancel</button>
+        </div>
+      </header>
+      <p class="label">${escapeHTML(fileName)}</p>
+      <div class="row setting-row">
+        <label class="label" for="bank-header">First row holds column names</label>
+        <input type="checkbox" id="bank-header"${header ? ' checked' : ''}>
+      </div>
+      ${columnSelect('date', 'Date')}
+      <div class="row setting-row">
+        <label class="label" for="bank-dateFormat">Date format</label>
+        <select class="setting" id="bank-dateFormat" data-field="dateFormat">
+          ${Object.entries(BANK_DATE_FORMATS).map(([value, label]) => option('dateFormat', value, label)).join('')}
+        </select>
+      </div>
+      ${columnSelect('desc', 'Description')}
+      ${columnSelect('amount', 'Amount')}
+      <div class="row setting-row">
+        <label class="label" for="bank-moneyOut">Money out is shown as</label>
+        <select class="setting" id="bank-moneyOut" data-field="moneyOut">
+          ${option('moneyOut', 'negative', 'Negative amounts')}${option('moneyOut', 'positive', 'Positive amounts')}
+        </select>
+      </div>
+      <p class="label">${preview.transactions.length} transactions in the week of ${formatDateISO(state.weekStart)}${preview.outside ? `, ${preview.outside} outside it` : ''}${preview.invalid ? `, ${preview.invalid} unreadable` : ''}${preview.duplicate ? `, ${preview.duplicate} already imported` : ''}.</p>
+      ${preview.transactions.slice(0, 3).map(t => `
+        <div class="summary-row"><span>${formatDateISO(t.date)} • ${escapeHTML(t.desc)}</span>${valueHTML(t.cents)}</div>
+      `).join('')}
+    </section>
+  `;
+}
+
+/** Render the Reconcile page: bank import, transactions and flagged rows. */
+function renderReconcile() {
+  const { rows, unmatchedTransactions, unmatchedRows } = reconciliation();
+  const rowOptions = (t) => {
+    const kind = t.cents < 0 ? 'outgoing' : 'income';
+    return ['<option value="">Unmatched</option>'].concat(rows.filter(r => r.kind === kind).map(r =>
+      `<option value="${escapeHTML(r.key)}"${r.key === t.rowKey ? ' selected' : ''}>${escapeHTML(r.desc || '(no description)')} ${r.planned ? formatMoney(r.planned) : ''}</option>`
+    )).join('');
+  };
+  const transactionRow = (t) => {
+    const unmatched = unmatchedTransactions.includes(t);
+    return `
+      <div class="row transaction${unmatched ? ' flagged' : ''}" data-transaction="${escapeHTML(t.id)}">
+        <div>
+          <div>${escapeHTML(t.desc || '(no description)')}</div>
+          <div class="label">${formatDateISO(t.date)}${unmatched ? ' • Not planned' : t.confirmed ? ' • Confirmed' : ' • Suggested'}</div>
+        </div>
+        ${valueHTML(t.cents)}
+        <select class="setting" aria-label="Planned line for ${escapeHTML(t.desc)}">${rowOptions(t)}</select>
+        ${!unmatched && !t.confirmed
+          ? '<button class="text-btn confirm-match" type="button" aria-label="Confirm match">✓</button>'
+          : '<div></div>'}
+      </div>
+    `;
+  };
+  const sorted = state.transactions.slice().sort((a, b) => a.date.localeCompare(b.date));
+  appEl.innerHTML = `
+    <h2>Reconcile</h2>
+    <p class="label">${weekLabel(state.weekStart)} • Transactions up to ${BANK_DATE_SLACK_DAYS} days either side count towards it. <a class="text-btn" href="#/summary">Back to summary</a></p>
+    <div class="controls">
+      <button class="text-btn" id="importBank" type="button">Import bank CSV</button>
+      <input type="file" id="bankInput" accept=".csv,text/csv" hidden>
+      ${state.transactions.length ? '<button class="text-btn" id="clearBank" type="button">Clear transactions</button>' : ''}
+    </div>
+    ${bankMessage ? `<p class="label" role="status">${escapeHTML(bankMessage)}</p>` : ''}
+    ${pendingBank ? bankMappingHTML() : ''}
+    <section class="section">
+      <h3>Transactions</h3>
+      ${sorted.map(transactionRow).join('') || '<p class="label">None imported for this week</p>'}
+    </section>
+    <section class="section">
+      <h3>Planned but not in the bank</h3>
+      ${unmatchedRows.map(r => `
+        <div class="summary-row flagged"><span>${escapeHTML(r.desc || '(no description)')}</span>${valueHTML(r.kind === 'outgoing' ? -r.planned : r.planned)}</div>
+      `).join('') || '<p class="label">Every planned line has a transaction</p>'}
+    </section>
+  `;
+  const input = document.getElementById('bankInput');
+  document.getElementById('importBank').addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files && input.files[0]) loadBankFile(input.files[0]);
+  });
+  const clearBtn = document.getElementById('clearBank');
+  if (clearBtn) clearBtn.addEventListener('click', () => {
+    state.transactions = [];
+    saveState({ undoLabel: 'Cleared transactions' });
+    renderReconcile();
+  });
+  if (pendingBank) {
+    document.getElementById('bank-header').addEventListener('change', (e) => {
+      pendingBank.header = e.target.checked;
+      renderReconcile();
+    });
+    appEl.querySelectorAll('select[data-field]').forEach(select => {
+      select.addEventListener('change', () => {
+        const field = select.dataset.field;
+        pendingBank[field] = ['date', 'desc', 'amount'].includes(field) ? Number(select.value) : select.value;
+        renderReconcile();
+      });
+    });
+    document.getElementById('cancelBank').addEventListener('click', () => {
+      pendingBank = null;
+      renderReconcile();
+    });
+    document.getElementById('applyBank').addEventListener('click', () => {
+      const { transactions, outside, invalid, duplicate } = bankTransactionsFromCsv(pendingBank);
+      const fileName = pendingBank.fileName;
+      state.transactions = state.transactions.concat(transactions);
+      autoMatchTransactions();
+      pendingBank = null;
+      const matched = transactions.filter(t => t.rowKey).length;
+      bankMessage = `Imported ${transactions.length} transactions, ${matched} matched automatically.` +
+        (outside + invalid + duplicate ? ` Skipped ${outside + invalid + duplicate} outside this week, unreadable or already imported.` : '');
+      saveState({ undoLabel: `Imported ${fileName}` });
+      renderReconcile();
+    });
+  }
+  appEl.querySelectorAll('[data-transaction]').forEach(rowEl => {
+    const transaction = state.transactions.find(t => t.id === rowEl.dataset.transaction);
+    rowEl.querySelector('select').addEventListener('change', (e) => {
+      // A choice made by hand, "Unmatched" included, is never replaced by a suggestion
+      transaction.rowKey = e.target.value || null;
+      transaction.confirmed = true;
+      saveState();
+      renderReconcile();
+    });
+    const confirmBtn = rowEl.querySelector('.confirm-match');
+    if (confirmBtn) confirmBtn.addEventListener('click', () => {
+      transaction.confirmed = true;
+      saveState();
+      renderReconcile();
+    });
+  });
+}
+
+/** Build the Summary page's planned-versus-actual section, once transactions are imported. */
+function varianceHTML() {
+  if (!state.transactions.length) return '';
+  const { rows, unmatchedTransactions } = reconciliation();
+  const shown = rows.filter(r => r.planned || r.actual);
+  const unplanned = (kind) => unmatchedTransactions.filter(t => (t.cents < 0) === (kind === 'outgoing'))
+    .reduce((sum, t) => sum + Math.abs(t.cents), 0);
+  // Spending more or receiving less than planned are both bad news
+  const varianceValue = (r) => valueHTML(r.kind === 'outgoing' ? -r.variance || 0 : r.variance);
+  return `
+    <section class="section mt">
+      <header>
+        <h3>Planned vs actual</h3>
+        <div class="controls"><a class="text-btn" href="#/reconcile">Reconcile</a></div>
+      </header>
+      <div class="summary-row label"><span>This week</span><span class="variance-cols"><span>Planned</span><span>Actual</span><span>Variance</span></span></div>
+      ${shown.map(r => `
+        <div class="summary-row${r.planned && !r.transactions.length ? ' flagged' : ''}">
+          <span>${escapeHTML(r.desc || '(no description)')}</span>
+          <span class="variance-cols"><span class="value">${formatMoney(r.planned)}</span><span class="value">${formatMoney(r.actual)}</span>${varianceValue(r)}</span>
+        </div>
+      `).join('')}
+      ${['income', 'outgoing'].map(kind => unplanned(kind) ? `
+        <div class="summary-row flagged"><span>Unplanned ${kind === 'income' ? 'income' : 'spending'}</span>
+          <span class="variance-cols"><span class="value">${formatMoney(0)}</span><span class="value">${formatMoney(unplanned(kind))}</span>${valueHTML(kind === 'income' ? unplanned(kind) : -unplanned(kind) || 0)}</span>
+        </div>
+      ` : '').join('')}
+    </section>
+  `;
+}
+
+// ----------------------
+// GST
+// ----------------------
+//
+// Amounts are entered tax-inclusive, as paid. Each line and recurring item
+// is flagged inclusive or exempt and the GST in it is split out at the rate
+// in Settings (see lib/tax.js). Cash flow lines are not sales and carry none.
+
+/**
+ * Whether a value can be used as the GST rate.
+ * @param {*} rate
+ * @returns {boolean}
+ */
+function validTaxRate(rate) {
+  return typeof rate === 'number' && Number.isFinite(rate) && rate >= 0 && rate <= 100;
+}
+
+/**
+ * Checkbox marking a line's amount as including GST.
+ * @param {string} [tax] the line's flag; anything but 'exempt' is inclusive
+ * @param {string} [field] data-field for the recurring item editor
+ * @returns {string}
+ */
+function taxFlagHTML(tax, field = '') {
+  return `<label class="tax-flag" title="Amount includes GST"><input type="checkbox" class="tax"${field ? ` data-field="${field}"` : ''}${tax === 'exempt' ? '' : ' checked'}> GST</label>`;
+}
+
+/**
+ * Build the Summary's GST section: collected, paid and net owing for this
+ * week and the quarter to date. None when the rate is 0.
+ * @returns {string}
+ */
+function taxSummaryHTML() {
+  const rate = state.settings.taxRate;
+  if (!rate) return '';
+  const week = weekTax(state, rate);
+  const quarter = quarterTax(state, rate);
+  const row = (label, field, cls = '') => `
+    <div class="summary-row${cls}"><span>${label}</span><span class="tax-cols">${valueHTML(week[field])}${valueHTML(quarter[field])}</span></div>
+  `;
+  return `
+    <section class="section mt">
+      <h3>GST</h3>
+      <div class="summary-row label"><span>${escapeHTML(rate)}% included</span><span class="tax-cols"><span>This week</span><span>Quarter to date</span></span></div>
+      ${row('Collected on income', 'collected')}
+      ${row('Paid on outgoings', 'paid')}
+      ${row('Net owing', 'net', ' total')}
+      <p class="label">Quarter from ${formatDateISO(quarter.start)}: ${quarter.weeks} week${quarter.weeks === 1 ? '' : 's'}, this one included.</p>
+    </section>
+  `;
+}
+
+// ----------------------
+// Daily sales
+// ----------------------
+//
+// Takings are logged day by day on the Sales page (#/sales). A logged day
+// replaces its share of the week's projected sales, the income rows filed
+// under Sales, in every total; see weekSales().
+
+/**
+ * Label a day of the week, e.g. "Monday 19 Oct".
+ * @param {string} date ISO date
+ * @returns {string}
+ */
+function dayLabel(date) {
+  return isoToDate(date).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'short' });
+}
+
+/**
+ * This week's log entry for a day, added if the day has none yet.
+ * @param {string} date ISO date
+ * @returns {{id: string, date: string, cents: (number|null), cash: (object|null)}}
+ */
+function salesEntry(date) {
+  let entry = state.sales.find(e => e.date === date);
+  if (!entry) {
+    entry = { id: salesEntryId(date), date, cents: null, cash: null };
+    state.sales.push(entry);
+    state.sales.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return entry;
+}
+
+/** Drop log entries left with neither takings nor a cash count. */
+function pruneSalesEntries() {
+  state.sales = state.sales.filter(e => e.cents !== null || e.cash);
+}
+
+/**
+ * Rows comparing a week's projected sales with its takings.
+ * @param {ReturnType<typeof weekSales>} sales
+ * @returns {string}
+ */
+function salesTotalsHTML(sales) {
+  return `
+    <div class="summary-row"><span>Projected sales</span>${valueHTML(sales.projected)}</div>
+    <div class="summary-row"><span>Takings (${sales.logged} of 7 days)</span>${valueHTML(sales.actual)}</div>
+    <div class="summary-row"><span>Projected for those days</span>${valueHTML(sales.loggedProjected)}</div>
+    <div class="summary-row"><span>Difference</span>${valueHTML(sales.actual - sales.loggedProjected)}</div>
+    <div class="summary-row total"><span>Expected for the week</span>${valueHTML(sales.expected)}</div>
+  `;
+}
+
+/**
+ * Build the projected versus actual sales section for the Summary, an
+ * archived week or a shared link. Weeks with nothing projected or logged get none.
+ * @param {object} week state or archived week
+ * @param {{suggest?: boolean}} [options] `suggest` adds next week's suggested
+ *   sales with a button to use them; only for the current state
+ * @returns {string}
+ */
+function salesSummaryHTML(week, { suggest = false } = {}) {
+  const sales = weekSales(week);
+  const suggestion = suggest ? suggestedSales(week) : null;
+  if (!sales.projected && !sales.logged && !suggestion) return '';
+  return `
+    <section class="section mt">
+      <header>
+        <h3>Sales</h3>
+        ${suggest ? '<div class="controls"><a class="text-btn" href="#/sales">Daily sales</a></div>' : ''}
+      </header>
+      ${sales.projected || sales.logged ? salesTotalsHTML(sales) : ''}
+      ${suggestion ? `
+        <div class="summary-row mt">
+          <span>Suggested for next week <span class="label">· average of ${suggestion.weeks} week${suggestion.weeks === 1 ? '' : 's'}</span></span>
+          ${valueHTML(suggestion.cents)}
+        </div>
+        <div class="controls"><button class="text-btn" id="useSuggestedSales" type="button">Use for next week</button></div>
+      ` : ''}
+    </section>
+  `;
+}
+
+/**
+ * Note under the Income rows saying how many days have takings logged, since
+ * the rows' Sales total no longer matches the week's income once they do.
+ * @returns {string}
+ */
+function salesNoteHTML() {
+  const { logged } = weekSales(state);
+  if (!logged) return '';
+  return `<p class="label">Takings are logged for ${logged} of 7 days and replace those days' share of the Sales lines. <a class="text-btn" href="#/sales">Daily sales</a></p>`;
+}
+
+/**
+ * Set next week's projected sales, on its first Sales line or a new one.
+ * @param {number} cents
+ */
+function useSuggestedSales(cents) {
+  const row = state.income.incomeNextWeek.find(r => r.category === SALES_CATEGORY);
+  if (row) row.cents = cents;
+  else state.income.incomeNextWeek.push({ id: newId(), desc: 'Projected Sales', cents, category: SALES_CATEGORY, tax: 'inclusive' });
+  saveState({ undoLabel: 'Set next week’s sales' });
+}
+
+/**
+ * Build one day's row on the Sales page.
+ * @param {ReturnType<typeof weekSales>['days'][number]} day
+ * @returns {string}
+ */
+function salesDayHTML(day) {
+  const label = dayLabel(day.date);
+  const counted = day.cash
+    ? ` • Cash ${formatMoney(day.cash.total)} counted ${escapeHTML(new Date(day.cash.takenAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))}`
+    : '';
+  return `
+    <div class="row sales-day" data-date="${escapeHTML(day.date)}">
+      <div>
+        <div>${escapeHTML(label)}</div>
+        <div class="label">Projected ${formatMoney(day.projected)}${counted}</div>
+      </div>
+      <input class="amount" type="text" inputmode="decimal" placeholder="${moneyInputValue(day.projected)}" value="${moneyInputValue(day.actual)}" aria-label="Takings for ${escapeHTML(label)}">
+      <button class="text-btn cash-snapshot" type="button">${day.cash ? 'Remove cash count' : 'Attach cash count'}</button>
+    </div>
+  `;
+}
+
+/** Render the Sales page: this week's takings day by day against the projection. */
+function renderSalesPage() {
+  const sales = weekSales(state);
+  appEl.innerHTML = `
+    <h2>Daily sales</h2>
+    <p class="label">${weekLabel(state.weekStart)} • <a class="text-btn" href="#/income">Income &amp; Expenses</a> • <a class="text-btn" href="#/summary">Back to summary</a></p>
+    ${sales.projected ? '' : '<p class="label">No Sales lines are projected for this week, so takings add to its income.</p>'}
+    <section class="section">
+      <h3>Takings</h3>
+      ${sales.days.map(salesDayHTML).join('')}
+    </section>
+    <section class="section" id="salesTotals">${salesTotalsHTML(sales)}</section>
+  `;
+  appEl.querySelectorAll('.sales-day').forEach(rowEl => {
+    const date = rowEl.dataset.date;
+    wireMoneyInput(rowEl.querySelector('input.amount'), (cents) => {
+      salesEntry(date).cents = cents;
+      pruneSalesEntries();
+      saveState();
+      const sales = weekSales(state);
+      document.getElementById('salesTotals').innerHTML = salesTotalsHTML(sales);
+      announce(`Expected sales ${formatMoney(sales.expected)} for the week`);
+    });
+    // A copy of the Cash page's count as it stands, kept with the day's takings
+    rowEl.querySelector('button.cash-snapshot').addEventListener('click', () => {
+      const entry = salesEntry(date);
+      const removing = !!entry.cash;
+      entry.cash = removing ? null : {
+        takenAt: new Date().toISOString(),
+        total: cashTotals(state.cash, currency()).total,
+        quantities: combinedQuantities(state.cash)
+      };
+      pruneSalesEntries();
+      saveState(removing ? { undoLabel: `Removed cash count for ${dayLabel(date)}` } : {});
+      renderSalesPage();
+    });
+  });
+  wireInputColumn([...appEl.querySelectorAll('.sales-day input.amount')]);
+}
+
+// ----------------------
+// Supabase authentication (optional)
+// ----------------------
+//
+// Sign-in is by magic link from the Account page (#/account). The link
+// returns to the app with the session, or an error, in the URL; supabase-js
+// reads the session itself and finishAuthRedirect() reports the outcome once
+// it has, then tidies the URL.
+
+/** Seconds before another magic link can be sent. */
+const RESEND_COOLDOWN_S = 60;
+/** Loose check that catches typos; the server has the final say. */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let supabase = null;
+/** Account page progress: `{ step: 'email'|'sent', email, sentAt, sending, error, notice }`. */
+let accountView = { step: 'email', email: '', sentAt: 0, sending: false, error: '', notice: '' };
+/** Outcome of a magic-link redirect this page was opened with, or null. */
+let authRedirect = readAuthRedirect();
+
+function initSupabase() {
+  try {
+    if (window.ENV && window.ENV.SUPABASE_URL && window.ENV.SUPABASE_ANON_KEY && window.supabase) {
+      supabase = window.supabase.createClient(window.ENV.SUPABASE_URL, window.ENV.SUPABASE_ANON_KEY);
+      supabase.auth.getSession().then(({ data, error }) => {
+        if (error && authRedirect && !authRedirect.error) authRedirect.error = error.message;
+        setAuthUser(data?.session?.user || null);
+        finishAuthRedirect();
+      });
+      supabase.auth.onAuthStateChange((_event, session) => setAuthUser(session?.user || null));
+    }
+  } catch (e) {
+    console.warn('Supabase not configured', e);
+  }
+}
+
+/**
+ * Read a magic-link redirect from the URL before supabase-js removes it: the
+ * implicit flow puts tokens or an error in the fragment, PKCE uses the query.
+ * @returns {{error: string}|null} error is empty when the link looked valid
+ */
+function readAuthRedirect() {
+  const fragment = new URLSearchParams(location.hash.replace(/^#\/?/, ''));
+  const query = new URLSearchParams(location.search);
+  const error = fragment.get('error_description') || query.get('error_description') ||
+    fragment.get('error') || query.get('error');
+  if (error) return { error };
+  if (fragment.has('access_token') || query.has('code')) return { error: '' };
+  return null;
+}
+
+/**
+ * Show how a magic-link redirect went on the Account page, and take the
+ * tokens or error out of the address bar and history. Without Supabase the
+ * initial render calls this, to explain a link that cannot work here.
+ */
+function finishAuthRedirect() {
+  if (!authRedirect) return;
+  const { error } = authRedirect;
+  authRedirect = null;
+  accountView = {
+    ...accountView,
+    step: 'email',
+    error: error
+      ? `The sign-in link did not work: ${error}. Links expire after a while and work once; send a new one.`
+      : syncUser ? '' : 'The sign-in link could not be used. Send a new one.',
+    notice: ''
+  };
+  const url = new URL(location.href);
+  ['code', 'error', 'error_code', 'error_description'].forEach(key => url.searchParams.delete(key));
+  url.hash = '#/account';
+  history.replaceState(null, '', url);
+  setActiveRoute();
+}
+
+/**
+ * Adopt the signed-in user (or null) everywhere it shows.
+ * @param {object|null} user
+ */
+function setAuthUser(user) {
+  updateAuthUI(user);
+  setSyncUser(user);
+  if (location.hash === '#/account') renderAccount();
+}
+
+/** @param {object|null} user */
+function updateAuthUI(user) {
+  authStatus.textContent = user ? `Signed in as ${user.email}` : 'Signed out';
+  setIconButton(authButton, user ? '👤' : '🔑', user ? `Account: ${user.email}` : 'Sign in');
+}
+authButton.addEventListener('click', () => { location.hash = '#/account'; });
+
+/** @returns {number} whole seconds until another link can be sent */
+function resendCooldown() {
+  return Math.max(0, Math.ceil((accountView.sentAt + RESEND_COOLDOWN_S * 1000 - Date.now()) / 1000));
+}
+
+/** Count down the resend button until it can be used again. */
+function tickResendCooldown() {
+  clearInterval(window.__resendTimer);
+  window.__resendTimer = setInterval(() => {
+    const left = resendCooldown();
+    const btn = document.getElementById('resendLink');
+    if (btn) {
+      btn.disabled = left > 0;
+      btn.textContent = left ? `Resend in ${left} s` : 'Resend link';
+    }
+    if (!left) clearInterval(window.__resendTimer);
+  }, 1000);
+}
+
+/** Render the Account page: sign-in form, link sent, or the signed-in account. */
+function renderAccount() {
+  const { step, email, sending, error, notice } = accountView;
+  const cooldown = resendCooldown();
+  let body;
+  if (!supabase) {
+    body = `<p>Sync is not set up for this copy of the app. Set SUPABASE_URL and SUPABASE_ANON_KEY in env.js
+      to sign in and sync between devices.</p>`;
+  } else if (syncUser) {
+    body = `
+      <div class="summary-row"><span>Signed in as</span><span class="value">${escapeHTML(syncUser.email || '')}</span></div>
+      <p class="label">Your workspaces sync to this account.</p>
+      <div class="controls">
+        <button class="text-btn" type="button" id="signOutKeep">Sign out</button>
+        <button class="text-btn" type="button" id="signOutClear">Sign out and clear this device</button>
+      </div>
+      <p class="label">Synced data stays in your account either way. Clear this device when it is shared or not yours.</p>
+    `;
+  } else if (step === 'sent') {
+    body = `
+      <p>We sent a sign-in link to <strong>${escapeHTML(email)}</strong>. Open it on this device to finish signing in.</p>
+      <div class="controls">
+        <button class="text-btn" type="button" id="resendLink"${cooldown || sending ? ' disabled' : ''}>${
+          sending ? 'Sending…' : cooldown ? `Resend in ${cooldown} s` : 'Resend link'}</button>
+        <button class="text-btn" type="button" id="changeEmail">Use another email</button>
+      </div>
+    `;
+  } else {
+    body = `
+      <form id="signInForm" novalidate>
+        <div class="row setting-row">
+          <label class="label" for="signInEmail">Email</label>
+          <input id="signInEmail" class="desc" type="email" autocomplete="email" required
+            value="${escapeHTML(email)}" aria-describedby="signInError"${error ? ' aria-invalid="true"' : ''}>
+        </div>
+        <div class="controls">
+          <button class="text-btn" type="submit"${sending ? ' disabled' : ''}>${sending ? 'Sending…' : 'Send sign-in link'}</button>
+        </div>
+      </form>
+      <p class="label">We'll email you a link to sign in; no password needed.</p>
+    `;
+  }
+  appEl.innerHTML = `
+    <h2>Account</h2>
+    <section class="section">
+      ${body}
+      <p class="input-note account-error" id="signInError" role="alert">${escapeHTML(error)}</p>
+      ${notice ? `<p class="label" role="status">${escapeHTML(notice)}</p>` : ''}
+    </section>
+  `;
+  const form = document.getElementById('signInForm');
+  if (form) {
+    const input = document.getElementById('signInEmail');
+    input.addEventListener('input', () => { accountView.email = input.value; });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      sendMagicLink(input.value.trim());
+    });
+  }
+  const resendBtn = document.getElementById('resendLink');
+  if (resendBtn) resendBtn.addEventListener('click', () => sendMagicLink(accountView.email));
+  const changeBtn = document.getElementById('changeEmail');
+  if (changeBtn) changeBtn.addEventListener('click', () => {
+    accountView = { ...accountView, step: 'email', error: '', notice: '' };
+    renderAccount();
+    document.getElementById('signInEmail').focus();
+  });
+  const keepBtn = document.getElementById('signOutKeep');
+  if (keepBtn) keepBtn.addEventListener('click', () => signOut(false));
+  const clearBtn = document.getElementById('signOutClear');
+  if (clearBtn) clearBtn.addEventListener('click', () => signOut(true));
+}
+
+/**
+ * Email a magic link, after checking the address looks like one.
+ * @param {string} email
+ */
+async function sendMagicLink(email) {
+  const refresh = () => { if (location.hash === '#/account') renderAccount(); };
+  accountView = { ...accountView, email, error: '', notice: '' };
+  if (!EMAIL_PATTERN.test(email)) {
+    accountView.error = 'Enter a valid email address, like name@example.com.';
+    refresh();
+    const input = document.getElementById('signInEmail');
+    if (input) input.focus();
+    return;
+  }
+  if (!navigator.onLine) {
+    accountView.error = 'You are offline. Connect to the internet to send a sign-in link.';
+    refresh();
+    return;
+  }
+  accountView.sending = true;
+  refresh();
+  const { error } = await supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: location.origin + location.pathname } });
+  accountView.sending = false;
+  if (error) {
+    accountView.error = error.message;
+  } else {
+    accountView.step = 'sent';
+    accountView.sentAt = Date.now();
+    tickResendCooldown();
+  }
+  refresh();
+}
+
+/**
+ * Sign out, uploading edits not yet synced first, and optionally remove
+ * every workspace from this device.
+ * @param {boolean} clearData
+ */
+async function signOut(clearData) {
+  clearTimeout(window.__syncTimer);
+  if (readSyncMeta().pending) await syncNow();
+  if (clearData) {
+    const unsynced = workspaces.list.some(w => readSyncMeta(w.id).pending);
+    if (!confirm(`Remove all workspaces and their data from this device?${unsynced
+      ? ' Some changes have not synced yet and will be lost.'
+      : ' Everything is synced to your account.'}`)) return;
+  }
+  const { error } = await supabase.auth.signOut();
+  if (error) {
+    accountView.error = error.message;
+    renderAccount();
+    return;
+  }
+  setAuthUser(null);
+  if (clearData) clearWorkspaces();
+  accountView = {
+    step: 'email', email: '', sentAt: 0, sending: false, error: '',
+    notice: clearData ? 'Signed out and removed your data from this device.' : 'Signed out. Your data stays on this device.'
+  };
+  renderAccount();
+}
+initSupabase();
+
+// ----------------------
+// Cloud sync
+// ----------------------
+//
+// Signed-in users' state is stored as one JSON document per user and
+// workspace in the `cashflow_state` table (see supabase/migrations). Every line item, cash
+// profile and recurring item carries an `id` and an `updatedAt` time stamped
+// by saveState(), and deleted rows leave a tombstone in `state.deleted`. Syncing pulls the remote document,
+// merges it with local state row by row (newest edit wins, deletions win over
+// older edits) and writes the result back guarded by a revision number, so two
+// devices never overwrite each other's rows wholesale; see lib/sync.js, whose
+// tests run it against a stand-in for the REST endpoint. Point
+// window.ENV.SUPABASE_URL at a local stack (`supabase start`) to try it
+// against a real one.
+
+/** Signed-in Supabase user, or null. */
+let syncUser = null;
+/** Whether a sync is in flight, so overlapping triggers coalesce. */
+let syncing = false;
+
+/**
+ * Read sync bookkeeping: last successful sync time and whether local edits await upload.
+ * @param {string} [id] workspace; the open one by default
+ */
+function readSyncMeta(id = workspaces.active) {
+  const saved = storageGet(workspaceKey('sync-meta', id));
+  return { lastSyncedAt: 0, pending: false, ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+/** @param {{lastSyncedAt?: number, pending?: boolean}} changes */
+function writeSyncMeta(changes) {
+  storageSet(workspaceKey('sync-meta'), { ...readSyncMeta(), ...changes });
+}
+
+/**
+ * Record that local edits need uploading and schedule a sync shortly after
+ * typing stops. Offline edits stay queued until the browser reconnects.
+ */
+function queueSync() {
+  writeSyncMeta({ pending: true });
+  if (!navigator.onLine) requestBackgroundSync();
+  clearTimeout(window.__syncTimer);
+  window.__syncTimer = setTimeout(() => syncNow(), 2000);
+}
+
+/**
+ * Pull the signed-in user's remote state, merge it with local state and push
+ * the result (see pushState()), then adopt the merge here.
+ */
+async function syncNow() {
+  if (!supabase || !syncUser || syncing || !stateLoaded) return;
+  if (!navigator.onLine) {
+    authStatus.textContent = 'Offline – changes queued';
+    return;
+  }
+  syncing = true;
+  const workspace = workspaces.active;
+  try {
+    await pullWorkspaces();
+    const { lastSyncedAt } = readSyncMeta();
+    // Only the saved state is synced, and merged back only if nothing changed
+    // since; edits made meanwhile are picked up by the sync their save queues.
+    const { base, state: merged, conflicts } = await pushState(supabase, {
+      userId: syncUser.id, workspaceId: workspace, name: activeWorkspace().name,
+      since: lastSyncedAt, local: () => structuredClone(savedSnapshot)
+    });
+    // Switched workspace meanwhile: the upload stands, the download waits for its next sync
+    if (workspace !== workspaces.active) return;
+    // Saves made while the request was in flight still need uploading; adopting the merge does not
+    const savedSince = JSON.stringify(base) !== JSON.stringify(savedSnapshot);
+    applySyncedState(base, merged);
+    writeSyncMeta({ lastSyncedAt: Date.now(), pending: savedSince && readSyncMeta().pending });
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    authStatus.textContent = conflicts
+      ? `Synced • ${time} • ${conflicts} row${conflicts === 1 ? '' : 's'} edited on two devices, newest kept`
+      : `Synced • ${time}`;
+  } catch (err) {
+    console.error('Error syncing state', err);
+    if (err.code === 'SCHEMA_TOO_NEW') {
+      // Another device runs a newer version; writing back would lose its data
+      authStatus.textContent = 'Sync paused – update the app to sync';
+      return;
+    }
+    authStatus.textContent = 'Sync failed – will retry';
+    requestBackgroundSync();
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Adopt a merged state unless the user edited locally while syncing, in which
+ * case those edits win for now and are pushed by the sync they queued.
+ * @param {object} base local state the merge started from
+ * @param {object} merged
+ */
+function applySyncedState(base, merged) {
+  if (JSON.stringify(base) !== JSON.stringify(state)) return;
+  const changed = JSON.stringify(merged) !== JSON.stringify(state);
+  state = normalizeState(merged);
+  savedSnapshot = structuredClone(state);
+  storageSet(workspaceKey('state-cashflow'), savedSnapshot);
+  if (changed) {
+    clearUndo();
+    setActiveRoute();
+    dispatchCashUpdate();
+    checkAlerts();
+  }
+}
+
+/**
+ * Add workspaces synced from the user's other devices to the local list.
+ * Names already known here are left alone; this device's names are pushed
+ * with each workspace's state.
+ */
+async function pullWorkspaces() {
+  const { data, error } = await supabase.from(SYNC_TABLE).select('workspace_id, name').eq('user_id', syncUser.id);
+  if (error) throw error;
+  const added = (data || []).filter(row => !workspaces.list.some(w => w.id === row.workspace_id));
+  if (!added.length) return;
+  added.forEach(row => workspaces.list.push({ id: row.workspace_id, name: row.name || '' }));
+  saveWorkspaces();
+  if (location.hash === '#/settings') renderSettings();
+}
+
+/**
+ * Upload a renamed workspace's name once typing stops, separately from its
+ * state so the rename is not lost when another workspace is opened first.
+ * @param {string} id
+ */
+function queueWorkspaceName(id) {
+  if (!supabase || !syncUser) return;
+  clearTimeout(window.__workspaceNameTimer);
+  window.__workspaceNameTimer = setTimeout(async () => {
+    const workspace = workspaces.list.find(w => w.id === id);
+    if (!workspace) return;
+    const { error } = await supabase.from(SYNC_TABLE).update({ name: workspace.name })
+      .eq('user_id', syncUser.id).eq('workspace_id', id);
+    if (error) console.error('Error syncing workspace name', error);
+  }, 2000);
+}
+
+/**
+ * Remove a workspace's synced copy so other devices do not bring it back.
+ * @param {string} id
+ * @throws {Error} when offline or the delete fails
+ */
+async function deleteSyncedWorkspace(id) {
+  if (!navigator.onLine) throw new Error('Offline');
+  const { error } = await supabase.from(SYNC_TABLE).delete().eq('user_id', syncUser.id).eq('workspace_id', id);
+  if (error) throw error;
+}
+
+/**
+ * Start or stop syncing as the signed-in user changes.
+ * @param {object|null} user
+ */
+function setSyncUser(user) {
+  const changed = (user && user.id) !== (syncUser && syncUser.id);
+  syncUser = user || null;
+  if (syncUser && changed) syncNow();
+}
+
+window.addEventListener('online', () => {
+  if (readSyncMeta().pending) syncNow();
+});
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') syncNow();
+});
+
+// ----------------------
+// Service worker: updates & background sync
+// ----------------------
+
+/** Background Sync tag; must match SYNC_TAG in sw.js. */
+const SW_SYNC_TAG = 'cashflow-sync';
+
+let swRegistration = null;
+/** Set once the user accepts an update, so only that controller change reloads. */
+let updateAccepted = false;
+
+/**
+ * Ask the service worker to wake us when connectivity returns so pending
+ * state writes get flushed, even if the tab is in the background.
+ */
+function requestBackgroundSync() {
+  if (swRegistration && 'sync' in swRegistration) {
+    swRegistration.sync.register(SW_SYNC_TAG).catch(err => console.warn('Background sync unavailable', err));
+  }
+}
+
+/**
+ * Offer to switch to a newly installed version.
+ * @param {ServiceWorker} worker the waiting worker
+ */
+function showUpdatePrompt(worker) {
+  if (document.getElementById('updateBanner')) return;
+  const banner = document.createElement('div');
+  banner.id = 'updateBanner';
+  banner.className = 'update-banner';
+  banner.setAttribute('role', 'alert');
+  banner.innerHTML = `<span>Update available</span><button class="text-btn" type="button">Reload</button>`;
+  banner.querySelector('button').addEventListener('click', () => {
+    updateAccepted = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  document.body.appendChild(banner);
+}
+
+/** Register sw.js and watch for new versions waiting to take over. */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').then(reg => {
+    swRegistration = reg;
+    // Only an update if a worker already controls the page; the first install is silent
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+    // Until storage is open, openWorkspace() checks instead
+    if (stateLoaded && readSyncMeta().pending) requestBackgroundSync();
+  }).catch(err => console.warn('Service worker registration failed', err));
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) location.reload();
+  });
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'FLUSH_SYNC') syncNow();
+  });
+  // Check for a new version whenever the app comes back to the foreground
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && swRegistration) swRegistration.update().catch(() => {});
+  });
+}
+registerServiceWorker();
+
+// ----------------------
+// Budgets & low-balance alerts
+// ----------------------
+
+/**
+ * Which alerts the user has already been told about, so each one raises a
+ * notification and stays dismissed only once: `{ notified, dismissed }`, both
+ * lists of alert keys. Keys are dropped when their alert clears, so it is
+ * raised again if the problem comes back.
+ */
+function readAlertMeta() {
+  const saved = storageGet(workspaceKey('alerts-cashflow'));
+  return { notified: [], dismissed: [], ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+/** @param {{notified: Array<string>, dismissed: Array<string>}} meta */
+function writeAlertMeta(meta) {
+  storageSet(workspaceKey('alerts-cashflow'), meta);
+}
+
+/**
+ * Find projected balances below the minimum and categories over their weekly
+ * budget, for this week and next week.
+ * @param {object} [s]
+ * @returns {Array<{key: string, text: string, href: string}>} keys identify the
+ *   problem and its week, not the amounts, so changing a figure raises nothing new
+ */
+function budgetAlerts(s = state) {
+  const alerts = [];
+  const totals = summaryTotals(s, currency());
+  const weeks = [
+    { label: 'This week', weekStart: s.weekStart, next: false, remaining: totals.thisRemaining },
+    { label: 'Next week', weekStart: addDaysISO(s.weekStart, 7), next: true, remaining: totals.nextRemaining }
+  ];
+  const min = s.settings.minBalanceCents;
+  weeks.forEach(week => {
+    if (min != null && week.remaining < min) {
+      alerts.push({
+        key: `${week.weekStart}:balance`,
+        text: `${week.label}'s remaining balance of ${formatMoney(week.remaining)} is below your minimum of ${formatMoney(min)}.`,
+        href: '#/summary'
+      });
+    }
+    const spent = categoryBreakdown(weekRowsOfKind(s, 'outgoing', week.next), s).categories;
+    categoriesOf('outgoing', s).filter(c => c.budgetCents != null).forEach(category => {
+      const item = spent.find(i => i.id === category.id);
+      if (!item || item.cents <= category.budgetCents) return;
+      alerts.push({
+        key: `${week.weekStart}:budget:${category.id}`,
+        text: `${category.name || 'Unnamed'} is over budget ${week.label.toLowerCase()}: ${formatMoney(item.cents)} of ${formatMoney(category.budgetCents)}.`,
+        href: '#/income'
+      });
+    });
+  });
+  return alerts;
+}
+
+/**
+ * Refresh the alert banner now, and notify about new alerts once edits
+ * settle so a figure typed digit by digit does not notify on the way.
+ */
+function checkAlerts() {
+  showAlertBanner(budgetAlerts());
+  clearTimeout(window.__alertTimer);
+  window.__alertTimer = setTimeout(() => notifyAlerts(budgetAlerts()), 1500);
+}
+
+/**
+ * Send a notification through the service worker for each alert not yet
+ * notified, and forget alerts that have cleared.
+ * @param {ReturnType<typeof budgetAlerts>} alerts
+ */
+function notifyAlerts(alerts) {
+  const keys = alerts.map(alert => alert.key);
+  const meta = readAlertMeta();
+  const fresh = alerts.filter(alert => !meta.notified.includes(alert.key));
+  const canNotify = swRegistration && 'Notification' in window && Notification.permission === 'granted';
+  if (canNotify) {
+    fresh.forEach(alert => {
+      const title = workspaces.list.length > 1 ? `Cashflow – ${workspaceName(activeWorkspace())}` : 'Cashflow';
+      swRegistration.showNotification(title, { body: alert.text, tag: `${workspaces.active}:${alert.key}`, data: { url: alert.href } })
+        .catch(err => console.warn('Notification failed', err));
+    });
+  }
+  writeAlertMeta({
+    notified: keys.filter(key => meta.notified.includes(key) || canNotify),
+    dismissed: meta.dismissed.filter(key => keys.includes(key))
+  });
+}
+
+/**
+ * Show alerts the user has not dismissed above whichever page is shown.
+ * @param {ReturnType<typeof budgetAlerts>} alerts
+ */
+function showAlertBanner(alerts) {
+  const { dismissed } = readAlertMeta();
+  const shown = alerts.filter(alert => !dismissed.includes(alert.key));
+  let banner = document.getElementById('alertBanner');
+  if (!shown.length) {
+    if (banner) banner.remove();
+    return;
+  }
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'alertBanner';
+    banner.className = 'container';
+    appEl.before(banner);
+  }
+  const askPermission = 'Notification' in window && Notification.permission === 'default';
+  banner.innerHTML = `
+    <section class="section notice" role="status">
+      <h3>Heads up</h3>
+      ${shown.map(alert => `<p><a href="${alert.href}">${escapeHTML(alert.text)}</a></p>`).join('')}
+      <div class="controls">
+        ${askPermission ? '<button class="text-btn" type="button" data-action="notify">Notify me</button>' : ''}
+        <button class="text-btn" type="button" data-action="dismiss">Dismiss</button>
+      </div>
+    </section>
+  `;
+  const notifyBtn = banner.querySelector('[data-action="notify"]');
+  if (notifyBtn) notifyBtn.addEventListener('click', () => requestNotifications());
+  banner.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+    const meta = readAlertMeta();
+    writeAlertMeta({ ...meta, dismissed: [...new Set(meta.dismissed.concat(shown.map(alert => alert.key)))] });
+    banner.remove();
+  });
+}
+
+/** Ask for permission to notify, then refresh whatever shows the choice. */
+async function requestNotifications() {
+  try {
+    await Notification.requestPermission();
+  } catch (err) {
+    console.warn('Notification permission request failed', err);
+  }
+  checkAlerts();
+  if (location.hash === '#/settings') renderSettings();
+}
+
+// ----------------------
+// Unreadable saved data
+// ----------------------
+
+/**
+ * Offer a copy of unreadable saved data as a download.
+ * @param {string} raw
+ * @param {string|null} key storage key it was kept under, if any
+ */
+function downloadUnreadableCopy(raw, key) {
+  const stamp = (key ? key.slice(UNREADABLE_PREFIX.length) : new Date().toISOString()).replace(/[:.]/g, '-');
+  downloadFile(`cashflow-unreadable-${stamp}.json`, raw, 'application/json');
+}
+
+/**
+ * Tell the user their saved data could not be read when the app started,
+ * above whichever page is shown, with the copy loadState() kept.
+ */
+function showUnreadableNotice() {
+  if (!unreadableState) return;
+  const { key, raw, error } = unreadableState;
+  const notice = document.createElement('div');
+  notice.className = 'container';
+  notice.innerHTML = `
+    <section class="section notice" role="alert">
+      <h3>Saved data could not be read</h3>
+      <p>${escapeHTML(error)} The app has started with empty data.
+        ${key
+          ? 'A copy of the old data was kept; download it here or later from Settings.'
+          : '<strong>There was no room to keep a copy, so download it before making any changes.</strong>'}</p>
+      <div class="controls">
+        <button class="text-btn" type="button" data-action="download">Download copy</button>
+        <button class="text-btn" type="button" data-action="dismiss">Dismiss</button>
+      </div>
+    </section>
+  `;
+  notice.querySelector('[data-action="download"]').addEventListener('click', () => downloadUnreadableCopy(raw, key));
+  notice.querySelector('[data-action="dismiss"]').addEventListener('click', () => notice.remove());
+  appEl.before(notice);
+}
+
+// ----------------------
+// Listen for offline events (optional)
+// ----------------------
+self.addEventListener && self.addEventListener('offline', () => {
+  saveStatus.textContent = 'Offline';
+});
+
+// ----------------------
+// Initial render
+// ----------------------
+// Render last so every section above (export, import, auth) is initialised
+// before the first view reads from it. Sync waits for the saved state so the
+// defaults shown until then are never pushed.
+openStorage().then(() => {
+  initPreferences();
+  workspaces = loadWorkspaces();
+  renderWorkspaceSelect();
+  openWorkspace();
+  if (!supabase) finishAuthRedirect();
+});
@@ -0,0 +1,65 @@
+// lib/dates.js - ISO dates (YYYY-MM-DD) in the device's local calendar.
+// Weeks start on Monday and are identified by that day's date.
+
+/**
+ * Shift an ISO date (YYYY-MM-DD) by a number of days.
+ * @param {string} iso
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDaysISO(iso, days) {
+  const date = isoToDate(iso);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+}
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) as local midnight.
+ * @param {string} iso
+ * @returns {Date}
+ */
+export function isoToDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Format a Date as an ISO date (YYYY-MM-DD) in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Human-readable label for a week, e.g. "Week of 12 Oct 2026".
+ * @param {string} iso week start date
+ * @returns {string}
+ */
+export function weekLabel(iso) {
+  return 'Week of ' + formatDateISO(iso);
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) for display, e.g. "12 Oct 2026".
+ * @param {string} iso
+ * @returns {string}
+ */
+export function formatDateISO(iso) {
+  return isoToDate(iso).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Return the Monday of the week containing `date` as an ISO date (YYYY-MM-DD),
+ * using the device's local calendar.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function weekStartISO(date = new Date()) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  // getDay() is 0 for Sunday; shift so weeks start on Monday
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toISODate(d);
+}
@@ -0,0 +1,173 @@
+// lib/money.js - currencies, and reading and writing amounts as whole cents.
+// Nothing here touches the DOM or the app's state, so it runs under Node too.
+
+/**
+ * Supported currencies: display name, default locale for formatting, and the
+ * note and coin denominations counted on the Cash page (largest first).
+ */
+export const CURRENCIES = {
+  AUD: { name: 'Australian dollar', locale: 'en-AU', notes: [100, 50, 20, 10, 5], coins: [2, 1, 0.5, 0.2, 0.1, 0.05] },
+  NZD: { name: 'New Zealand dollar', locale: 'en-NZ', notes: [100, 50, 20, 10, 5], coins: [2, 1, 0.5, 0.2, 0.1] },
+  USD: { name: 'US dollar', locale: 'en-US', notes: [100, 50, 20, 10, 5, 2, 1], coins: [1, 0.5, 0.25, 0.1, 0.05, 0.01] },
+  GBP: { name: 'Pound sterling', locale: 'en-GB', notes: [50, 20, 10, 5], coins: [2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01] },
+  EUR: { name: 'Euro', locale: 'en-IE', notes: [500, 200, 100, 50, 20, 10, 5], coins: [2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01] }
+};
+
+/** Locales offered for number formatting on the Settings page. */
+export const LOCALES = {
+  'en-AU': 'English (Australia)',
+  'en-NZ': 'English (New Zealand)',
+  'en-US': 'English (United States)',
+  'en-GB': 'English (United Kingdom)',
+  'en-IE': 'English (Ireland)',
+  'de-DE': 'Deutsch (Deutschland)',
+  'fr-FR': 'Français (France)',
+  'nl-NL': 'Nederlands (Nederland)'
+};
+
+/**
+ * The definition of the currency `settings` selects, falling back to AUD.
+ * @param {{currency: string}} settings
+ * @returns {{code: string, name: string, locale: string, notes: number[], coins: number[]}}
+ */
+export function currencyFor(settings) {
+  const code = CURRENCIES[settings.currency] ? settings.currency : 'AUD';
+  return { code, ...CURRENCIES[code] };
+}
+
+/** moneyFormatFor() results keyed by "locale|currency"; building them is slow. */
+const moneyFormats = {};
+
+/**
+ * How money looks in the currency and locale `settings` select: the formatter
+ * used for display, the decimal and group separators typed amounts may use,
+ * and the currency symbols that may be typed in front of them (longest first).
+ * @param {{currency: string, locale: string}} settings
+ * @returns {{formatter: Intl.NumberFormat, decimal: string, group: string, symbols: string[]}}
+ */
+export function moneyFormatFor(settings) {
+  const { code, locale: currencyLocale } = currencyFor(settings);
+  const locale = settings.locale || currencyLocale;
+  const key = `${locale}|${code}`;
+  if (!moneyFormats[key]) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const symbol = (loc, display) => new Intl.NumberFormat(loc, { style: 'currency', currency: code, currencyDisplay: display })
+      .formatToParts(1).find(part => part.type === 'currency').value;
+    moneyFormats[key] = {
+      formatter: new Intl.NumberFormat(locale, { style: 'currency', currency: code }),
+      decimal: parts.find(part => part.type === 'decimal').value,
+      group: parts.find(part => part.type === 'group').value,
+      symbols: [...new Set([code, symbol(locale, 'symbol'), symbol(locale, 'narrowSymbol'), symbol('en', 'symbol')])]
+        .sort((a, b) => b.length - a.length)
+    };
+  }
+  return moneyFormats[key];
+}
+
+/**
+ * Write cents as plain decimal text, e.g. -1205 → "-12.05".
+ * @param {number|null} cents
+ * @param {string} [decimal] decimal separator
+ * @returns {string} empty for null
+ */
+export function centsToDecimal(cents, decimal = '.') {
+  if (cents == null) return '';
+  const abs = Math.abs(cents);
+  return `${cents < 0 ? '-' : ''}${Math.floor(abs / 100)}${decimal}${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Read typed text as whole cents without going through floating point.
+ * Accepts the locale's separators ("1,234.50", or "1.234,50" in German), a
+ * leading minus and the currency's symbol. A separator in the wrong place,
+ * such as "1,50" where the comma groups thousands, is rejected rather than
+ * guessed at; more than two decimals are rounded half away from zero.
+ * @param {string} text
+ * @param {{decimal: string, group: string, symbols: string[]}} format see moneyFormatFor()
+ * @returns {{cents: (number|null), note?: string, error?: string}} cents is null when blank;
+ *   `note` explains a symbol dropped or a rounding
+ */
+export function parseMoney(text, format) {
+  const original = String(text ?? '').trim();
+  if (original === '') return { cents: null };
+  const { decimal, group, symbols } = format;
+  let rest = original;
+  let negative = false;
+  let symbolDropped = false;
+  const takeSign = () => {
+    if (/^[-−]/.test(rest)) { negative = !negative; rest = rest.slice(1).trim(); }
+  };
+  takeSign();
+  const symbol = symbols.find(sym => rest.startsWith(sym)) || symbols.find(sym => rest.endsWith(sym));
+  if (symbol) {
+    rest = (rest.startsWith(symbol) ? rest.slice(symbol.length) : rest.slice(0, -symbol.length)).trim();
+    symbolDropped = true;
+    takeSign();
+  }
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const groupPattern = /\s/.test(group) ? '\\s' : escape(group);
+  const match = new RegExp(`^(\\d{1,3}(?:${groupPattern}\\d{3})+|\\d*)(?:${escape(decimal)}(\\d*))?$`).exec(rest);
+  if (!match || !/\d/.test(rest)) {
+    const ambiguous = /^[\d.,'\s]+$/.test(rest);
+    return {
+      cents: null,
+      error: ambiguous
+        ? `"${original}" is ambiguous. Put "${decimal}" before the cents, e.g. 1${decimal}50.`
+        : `"${original}" is not an amount.`
+    };
+  }
+  const [, whole, fraction = ''] = match;
+  let cents = Number(whole.replace(/\D/g, '') || '0') * 100 + Number(fraction.padEnd(2, '0').slice(0, 2));
+  const rounded = fraction.length > 2;
+  if (rounded && Number(fraction[2]) >= 5) cents += 1;
+  if (!Number.isSafeInteger(cents)) return { cents: null, error: `"${original}" is too large.` };
+  if (negative && cents) cents = -cents;
+  const shown = centsToDecimal(cents, decimal);
+  if (rounded) return { cents, note: `Rounded to ${shown}.` };
+  if (symbolDropped) return { cents, note: `Read "${original}" as ${shown}.` };
+  return { cents };
+}
+
+/**
+ * Read decimal text in the plain layout used by CSV files and older saved
+ * states (e.g. "12.50"), whatever the selected locale, as cents. Runs while
+ * the state loads, so it must not depend on the settings.
+ * @param {string|number|null|undefined} value
+ * @returns {number|null} null when blank, NaN when not an amount
+ */
+export function decimalToCents(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const { cents, error } = parseMoney(String(value), { decimal: '.', group: ',', symbols: [] });
+  return error ? NaN : cents;
+}
+
+/**
+ * Key a denomination's count is stored under in a cash profile's quantities,
+ * e.g. "note:50" or "coin:0.05". Notes and coins are keyed apart because a
+ * currency can have both of one value, like the US dollar.
+ * @param {'note'|'coin'} kind
+ * @param {number} d
+ * @returns {string}
+ */
+export function denomKey(kind, d) {
+  return `${kind}:${d}`;
+}
+
+/**
+ * A currency's denominations, notes first, with the key each is counted under.
+ * @param {{notes: number[], coins: number[]}} currency see currencyFor()
+ * @returns {Array<{kind: ('note'|'coin'), value: number, key: string}>}
+ */
+export function currencyDenoms(currency) {
+  const list = (kind, values) => values.map(value => ({ kind, value, key: denomKey(kind, value) }));
+  return list('note', currency.notes).concat(list('coin', currency.coins));
+}
+
+/**
+ * A denomination's value in cents, e.g. 0.05 → 5.
+ * @param {number} d
+ * @returns {number}
+ */
+export function denomCents(d) {
+  return Math.round(d * 100);
+}
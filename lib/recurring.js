@@ -0,0 +1,93 @@
+// lib/recurring.js - which recurring items fall in a week, and the rows they
+// add to the week's totals.
+
+import { addDaysISO, isoToDate, toISODate, weekStartISO } from './dates.js';
+
+/** Recurring kind and week offset feeding each live income section. */
+export const RECURRING_SECTIONS = {
+  incomeRows: { kind: 'income', offset: 0 },
+  outgoingThisWeek: { kind: 'outgoing', offset: 0 },
+  incomeNextWeek: { kind: 'income', offset: 1 },
+  outgoingNextWeek: { kind: 'outgoing', offset: 1 }
+};
+
+/**
+ * Whether a recurring item falls in the week starting `weekStart`.
+ * Weekly and fortnightly items count from the week of their start date;
+ * monthly items fall on `day` each month and quarterly items every three
+ * months on the start date's day. Days past a month's end use its last day.
+ * @param {object} item
+ * @param {string} weekStart
+ * @returns {boolean}
+ */
+export function isRecurringDue(item, weekStart) {
+  const weekEnd = addDaysISO(weekStart, 6);
+  const start = item.start || weekStart;
+  if (weekEnd < start) return false;
+  if (item.frequency === 'weekly') return true;
+  if (item.frequency === 'fortnightly') {
+    const weeks = Math.round((isoToDate(weekStart) - isoToDate(weekStartISO(isoToDate(start)))) / (7 * 864e5));
+    return weeks % 2 === 0;
+  }
+  const [sy, sm, sd] = start.split('-').map(Number);
+  const day = item.frequency === 'monthly' ? Number(item.day) || sd : sd;
+  const step = item.frequency === 'quarterly' ? 3 : 1;
+  // A week touches at most two months; check the due date in each
+  return [weekStart, weekEnd].some(iso => {
+    const [y, m] = iso.split('-').map(Number);
+    const monthsFromStart = (y - sy) * 12 + (m - sm);
+    if (monthsFromStart < 0 || monthsFromStart % step !== 0) return false;
+    const due = toISODate(new Date(y, m - 1, Math.min(day, new Date(y, m, 0).getDate())));
+    return due >= weekStart && due <= weekEnd && due >= start;
+  });
+}
+
+/**
+ * Recurring items of one kind falling in a week, with that week's overrides
+ * applied. Skipped items are included and flagged so they can be restored.
+ * @param {object} s state
+ * @param {'income'|'outgoing'} kind
+ * @param {string} weekStart
+ * @returns {Array<{desc: string, cents: (number|null), category: string, tags: Array<string>,
+ *   tax: string, recurringId: string, skipped: boolean}>}
+ */
+export function recurringRows(s, kind, weekStart) {
+  const overrides = (s.recurringOverrides || {})[weekStart] || {};
+  return (s.recurring || [])
+    .filter(item => item.kind === kind && isRecurringDue(item, weekStart))
+    .map(item => {
+      const override = overrides[item.id] || {};
+      return {
+        desc: item.desc,
+        cents: override.cents !== undefined ? override.cents : item.cents,
+        category: item.category || '',
+        tags: item.tags || [],
+        tax: item.tax === 'exempt' ? 'exempt' : 'inclusive',
+        recurringId: item.id,
+        skipped: !!override.skip
+      };
+    });
+}
+
+/**
+ * Recurring items that count towards a week's totals (not skipped).
+ * @returns {Array<{desc: string, cents: (number|null)}>}
+ */
+export function dueRecurringRows(s, kind, weekStart) {
+  return recurringRows(s, kind, weekStart).filter(row => !row.skipped);
+}
+
+/**
+ * All rows counting towards an income section: the entered rows plus any
+ * recurring items due that week. Archived weeks carry no templates, so they
+ * return their stored rows unchanged.
+ * @param {object} s state or archived week
+ * @param {string} key section key in `s.income`
+ * @returns {Array<{desc: string, cents: (number|null)}>}
+ */
+export function sectionRows(s, key) {
+  const rows = s.income[key] || [];
+  const link = RECURRING_SECTIONS[key];
+  if (!link || !s.recurring) return rows;
+  return rows.concat(dueRecurringRows(s, link.kind, addDaysISO(s.weekStart, 7 * link.offset)));
+}
@@ -0,0 +1,91 @@
+// lib/sales.js - the daily sales log. Takings logged for a day replace that
+// day's share of the week's projected sales, so the week's income combines
+// actuals to date with the projection for the days still to come.
+
+import { addDaysISO } from './dates.js';
+import { sectionRows } from './recurring.js';
+
+/** Category whose income rows make up the week's projected sales. */
+export const SALES_CATEGORY = 'sales';
+
+/** Closed weeks averaged when suggesting next week's sales. */
+export const SALES_TRAILING_WEEKS = 4;
+
+/**
+ * Id of a day's entry in the log. Derived from the date so two devices
+ * logging the same day edit the same row.
+ * @param {string} date ISO date
+ * @returns {string}
+ */
+export function salesEntryId(date) {
+  return `sales:${date}`;
+}
+
+/**
+ * The seven days of a week, Monday first.
+ * @param {string} weekStart
+ * @returns {string[]} ISO dates
+ */
+export function weekDays(weekStart) {
+  return Array.from({ length: 7 }, (_, i) => addDaysISO(weekStart, i));
+}
+
+/**
+ * Split a weekly amount into seven daily shares that add back up to it
+ * exactly; the leftover cents go to the first days.
+ * @param {number} cents
+ * @returns {number[]}
+ */
+export function dailyShares(cents) {
+  const base = Math.trunc(cents / 7);
+  const rest = cents - base * 7;
+  return Array.from({ length: 7 }, (_, i) => base + (i < Math.abs(rest) ? Math.sign(rest) : 0));
+}
+
+/**
+ * Compare a week's projected sales with the takings logged so far.
+ * @param {object} s state or archived week
+ * @returns {{projected: number, actual: number, logged: number, loggedProjected: number, expected: number,
+ *   days: Array<{date: string, projected: number, actual: (number|null), cash: (object|null)}>}}
+ *   `projected` is the week's income filed under Sales; `actual` the takings of
+ *   the `logged` days, against `loggedProjected` for those days; `expected` is
+ *   what the week's sales come to with the projection filling the other days
+ */
+export function weekSales(s) {
+  const projected = sectionRows(s, 'incomeRows')
+    .filter(row => row.category === SALES_CATEGORY)
+    .reduce((total, row) => total + (row.cents || 0), 0);
+  const shares = dailyShares(projected);
+  const entries = new Map((s.sales || []).map(entry => [entry.date, entry]));
+  const days = weekDays(s.weekStart).map((date, i) => {
+    const entry = entries.get(date);
+    return { date, projected: shares[i], actual: entry ? entry.cents : null, cash: (entry && entry.cash) || null };
+  });
+  const loggedDays = days.filter(day => day.actual !== null);
+  const actual = loggedDays.reduce((total, day) => total + day.actual, 0);
+  const loggedProjected = loggedDays.reduce((total, day) => total + day.projected, 0);
+  return {
+    projected,
+    actual,
+    logged: loggedDays.length,
+    loggedProjected,
+    expected: projected - loggedProjected + actual,
+    days
+  };
+}
+
+/**
+ * Suggest next week's sales: the average of the last few weeks with takings
+ * logged, counting closed weeks and this week once every day is in.
+ * @param {object} s state
+ * @param {number} [weeks]
+ * @returns {{cents: number, weeks: number}|null} null when no week qualifies
+ */
+export function suggestedSales(s, weeks = SALES_TRAILING_WEEKS) {
+  const closed = s.history.filter(week => (week.sales || []).some(entry => entry.cents !== null));
+  const current = weekSales(s).logged === 7 ? [s] : [];
+  const recent = closed.concat(current).slice(-weeks);
+  if (!recent.length) return null;
+  const total = recent.reduce((sum, week) => sum + weekSales(week).expected, 0);
+  return { cents: Math.round(total / recent.length), weeks: recent.length };
+}
@@ -0,0 +1,334 @@
+// lib/state.js - the layout of the saved state: its defaults, the migrations
+// that bring older saved or synced data up to date, and reading it back.
+
+import { decimalToCents } from './money.js';
+import { addDaysISO, weekStartISO } from './dates.js';
+
+/**
+ * Version of the saved state's layout. Bump it and append a migration to
+ * MIGRATIONS whenever a change to defaultState would leave older saved data
+ * in the wrong shape; fields that are merely added are filled in from the
+ * defaults without one.
+ */
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Upgrades for saved states, in order: MIGRATIONS[n] takes a state at schema
+ * version n to n + 1, and states saved before versioning are version 0. They
+ * run on the raw saved data, before defaults are filled in, and on states
+ * synced from devices still on an older version, so each must cope with
+ * sections the data lacks. Never change a migration once released; add one.
+ */
+export const MIGRATIONS = [
+  // 0 → 1: next week's income got its own list; it used to reuse this week's
+  (s) => {
+    [s, ...(s.history || [])].forEach(week => {
+      if (week.income && !week.income.incomeNextWeek) {
+        week.income.incomeNextWeek = (week.income.incomeRows || []).map(row => ({ ...row }));
+      }
+    });
+  },
+  // 1 → 2: cash is counted per profile instead of as a single set of counts
+  (s) => {
+    [s, ...(s.history || [])].forEach(week => {
+      if (week.cash && !Array.isArray(week.cash.profiles)) {
+        week.cash = { profiles: [{ id: 'main', name: 'Main till', float: '', quantities: week.cash.quantities || {} }], active: 'main' };
+      }
+    });
+  },
+  // 2 → 3: amounts are whole cents instead of the text typed into the input
+  // (the opening balance was a number of dollars); blanks become null
+  (s) => {
+    const toCents = (obj, key, legacyKey) => {
+      if (!obj || obj[legacyKey] === undefined) return;
+      const cents = decimalToCents(obj[legacyKey]);
+      obj[key] = Number.isNaN(cents) ? null : cents;
+      delete obj[legacyKey];
+    };
+    const rows = (list) => (Array.isArray(list) ? list : []).forEach(row => toCents(row, 'cents', 'amount'));
+    [s, ...(s.history || [])].forEach(week => {
+      toCents(week, 'openingCents', 'openingCash');
+      if (week.openingCents === null) week.openingCents = 0;
+      Object.values(week.income || {}).forEach(rows);
+      ((week.cash && week.cash.profiles) || []).forEach(p => toCents(p, 'floatCents', 'float'));
+    });
+    (s.futureWeeks || []).forEach(week => { rows(week.incomeRows); rows(week.outgoingRows); });
+    rows(s.recurring);
+    Object.values(s.recurringOverrides || {}).forEach(items => Object.values(items || {}).forEach(o => toCents(o, 'cents', 'amount')));
+  },
+  // 3 → 4: rows carry a category; file existing rows under the default
+  // category their description names, e.g. "Rent" or "Projected Sales". The
+  // defaults are copied as they stood at version 4 so later changes to
+  // defaultState.categories don't change what this migration produces.
+  (s) => {
+    const categories = [
+      { id: 'sales', kind: 'income', name: 'Sales' },
+      { id: 'other-income', kind: 'income', name: 'Other income' },
+      { id: 'supplies', kind: 'outgoing', name: 'Supply Chain' },
+      { id: 'rent', kind: 'outgoing', name: 'Rent' },
+      { id: 'car', kind: 'outgoing', name: 'Car' },
+      { id: 'phone', kind: 'outgoing', name: 'Phone' },
+      { id: 'utilities', kind: 'outgoing', name: 'Utilities' },
+      { id: 'other', kind: 'outgoing', name: 'Other' }
+    ];
+    const guess = (list, kind) => (Array.isArray(list) ? list : []).forEach(row => {
+      if (!row || row.category !== undefined) return;
+      const match = categories.find(c => c.kind === kind && new RegExp(`\\b${c.name}\\b`, 'i').test(row.desc || ''));
+      row.category = match ? match.id : '';
+    });
+    [s, ...(s.history || [])].forEach(week => {
+      Object.entries(week.income || {}).forEach(([key, rows]) => guess(rows, rowKind(key)));
+    });
+    (s.futureWeeks || []).forEach(week => { guess(week.incomeRows, 'income'); guess(week.outgoingRows, 'outgoing'); });
+    (s.recurring || []).forEach(item => guess([item], item.kind));
+  },
+  // 4 → 5: counts are keyed by kind and value ("note:50", "coin:0.05"), not
+  // the value alone, so the US $1 note and $1 coin no longer share a count.
+  // A value of 5 or more was always a note, as were the US $1 and $2; the
+  // shared $1 count goes to the note, which is far more common.
+  (s) => {
+    const usd = s.settings && s.settings.currency === 'USD';
+    const rekey = (quantities) => {
+      if (!quantities || typeof quantities !== 'object') return quantities;
+      return Object.fromEntries(Object.entries(quantities).map(([denom, qty]) => {
+        if (/^(note|coin):/.test(denom)) return [denom, qty];
+        const value = Number(denom);
+        return [`${value >= 5 || (usd && value >= 1) ? 'note' : 'coin'}:${denom}`, qty];
+      }));
+    };
+    [s, ...(s.history || [])].forEach(week => {
+      ((week.cash && week.cash.profiles) || []).forEach(p => { if (p) p.quantities = rekey(p.quantities); });
+      (Array.isArray(week.sales) ? week.sales : []).forEach(entry => {
+        if (entry && entry.cash) entry.cash.quantities = rekey(entry.cash.quantities);
+      });
+    });
+  },
+  // 5 → 6: lines are marked as including GST or not. Lines saved before
+  // start as exempt, so upgrading doesn't invent GST on amounts never
+  // entered with it in mind; ticking them is up to the user.
+  (s) => {
+    const exempt = (list) => (Array.isArray(list) ? list : []).forEach(row => {
+      if (row && row.tax === undefined) row.tax = 'exempt';
+    });
+    [s, ...(s.history || [])].forEach(week => Object.values(week.income || {}).forEach(exempt));
+    (s.futureWeeks || []).forEach(week => { exempt(week.incomeRows); exempt(week.outgoingRows); });
+    exempt(s.recurring);
+  }
+];
+
+/** Default state structure for the app. */
+export const defaultState = {
+  // Layout version of the saved state; see MIGRATIONS
+  schemaVersion: SCHEMA_VERSION,
+  // ISO date (Monday) of the week being worked on; filled in on load
+  weekStart: null,
+  // Balance carried forward from the previous week when it was closed, less the
+  // cash counted then, which is counted again. Like every amount in the state
+  // it is whole cents; blank amounts are null.
+  openingCents: 0,
+  // Cash is counted per profile (till, float bag, safe…), with counts keyed by denomKey();
+  // `active` is the one shown on the Cash page and `countedBy` names whoever counted it,
+  // for the cash-up report
+  cash: {
+    profiles: [{ id: 'main', name: 'Main till', floatCents: null, quantities: {} }],
+    active: 'main',
+    countedBy: ''
+  },
+  // Line items: { id, desc, cents, category, tags, tax }. `category` is the id of
+  // one of `categories` ('' when uncategorised); `tags` is optional. `tax` is
+  // 'inclusive' or 'exempt' (GST-free), set on every new line since lines
+  // saved before version 6 are upgraded as exempt; cash flow lines never carry GST.
+  income: {
+    cashFlowExtra: [],
+    incomeRows: [{ desc: 'Projected Sales (this week)', cents: null, category: 'sales', tax: 'inclusive' }],
+    outgoingThisWeek: [
+      { desc: 'Supply Chain', cents: null, category: 'supplies', tax: 'inclusive' },
+      { desc: 'Rent', cents: null, category: 'rent', tax: 'inclusive' },
+      { desc: 'Car', cents: null, category: 'car', tax: 'inclusive' },
+      { desc: 'Phone', cents: null, category: 'phone', tax: 'inclusive' },
+      { desc: 'Utilities', cents: null, category: 'utilities', tax: 'inclusive' },
+      { desc: 'Other', cents: null, category: 'other', tax: 'inclusive' }
+    ],
+    outgoingNextWeek: [
+      { desc: 'Supply Chain', cents: null, category: 'supplies', tax: 'inclusive' },
+      { desc: 'Rent', cents: null, category: 'rent', tax: 'inclusive' },
+      { desc: 'Car', cents: null, category: 'car', tax: 'inclusive' },
+      { desc: 'Phone', cents: null, category: 'phone', tax: 'inclusive' },
+      { desc: 'Utilities', cents: null, category: 'utilities', tax: 'inclusive' },
+      { desc: 'Other', cents: null, category: 'other', tax: 'inclusive' }
+    ],
+    incomeNextWeek: [{ desc: 'Projected Sales', cents: null, category: 'sales', tax: 'inclusive' }]
+  },
+  // Categories rows can be filed under, per kind: { id, kind, name, budgetCents }.
+  // An outgoing category's weekly budget is optional (null when not set).
+  categories: [
+    { id: 'sales', kind: 'income', name: 'Sales' },
+    { id: 'other-income', kind: 'income', name: 'Other income' },
+    { id: 'supplies', kind: 'outgoing', name: 'Supply Chain' },
+    { id: 'rent', kind: 'outgoing', name: 'Rent' },
+    { id: 'car', kind: 'outgoing', name: 'Car' },
+    { id: 'phone', kind: 'outgoing', name: 'Phone' },
+    { id: 'utilities', kind: 'outgoing', name: 'Utilities' },
+    { id: 'other', kind: 'outgoing', name: 'Other' }
+  ],
+  // Weeks three onwards of the forecast, in order: { incomeRows, outgoingRows }
+  futureWeeks: [],
+  // Recurring item templates: { id, kind, desc, cents, category, tags, tax, frequency, day, start }
+  recurring: [],
+  // Per-week changes to recurring items, keyed by week start then item id: { cents } or { skip: true }
+  recurringOverrides: {},
+  settings: {
+    // Number of weeks shown in the Summary forecast, this week included
+    forecastWeeks: 4,
+    // ISO 4217 code from CURRENCIES, and an optional locale overriding the currency's own
+    currency: 'AUD',
+    locale: '',
+    // Warn when this or next week's remaining balance drops below this; null turns it off
+    minBalanceCents: null,
+    // Shown at the top of the cash-up report
+    businessName: '',
+    // GST included in amounts, in percent; 0 hides the GST figures
+    taxRate: 10
+  },
+  // This week's bank transactions for reconciliation: { id, date, desc, cents, rowKey, confirmed }.
+  // Money out is negative; rowKey is the planned row matched to it (see bankRowKey()), or null.
+  transactions: [],
+  // This week's daily sales log: { id, date, cents, cash }. The id is 'sales:' and the date, so
+  // devices logging the same day agree on it; `cash` is an optional snapshot of the Cash page
+  // taken with the entry: { takenAt, total, quantities }, or null.
+  sales: [],
+  // Archived weeks, oldest first: { weekStart, closedAt, openingCents, cash, income, sales, taxRate, currency, locale }
+  history: [],
+  // Sync bookkeeping: when the state last changed and when each deleted row id was removed
+  updatedAt: 0,
+  deleted: {}
+};
+
+/**
+ * Read a saved state: parse text left by the localStorage migration, bring it
+ * up to the current schema and normalise it. Nothing saved gives the defaults.
+ * @param {string|object|undefined} saved as stored; objects are cloned so a
+ *   failed upgrade leaves the stored copy intact
+ * @returns {object}
+ * @throws {Error} when the data cannot be read (see upgradeState())
+ */
+export function readSavedState(saved) {
+  if (saved === undefined) return normalizeState(structuredClone(defaultState));
+  return normalizeState(upgradeState(typeof saved === 'string' ? JSON.parse(saved) : structuredClone(saved)));
+}
+
+/**
+ * Bring saved or synced data up to the current schema: run the migrations it
+ * is missing, then fill in defaults for anything added since.
+ * @param {*} data parsed state
+ * @returns {object} the same object, upgraded
+ * @throws {Error} when the data is not a state or comes from a newer version
+ *   (`code` is 'SCHEMA_TOO_NEW' in that case)
+ */
+export function upgradeState(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Saved data is not a cashflow state.');
+  const version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Saved data has an unknown schema version "${version}".`);
+  if (version > SCHEMA_VERSION) {
+    throw Object.assign(new Error(`Saved data comes from a newer version of the app (schema ${version}); reload to update.`), { code: 'SCHEMA_TOO_NEW' });
+  }
+  MIGRATIONS.slice(version).forEach(migrate => migrate(data));
+  data.schemaVersion = SCHEMA_VERSION;
+  return fillDefaults(data, defaultState);
+}
+
+/**
+ * Fill in whatever `defaults` has that `target` lacks, recursing into nested
+ * objects so fields added to a nested default reach older data too. Lists
+ * and other values are only filled when missing.
+ * @param {object} target modified in place
+ * @param {object} defaults
+ * @param {string} [path] location of `target`, for error messages
+ * @returns {object} target
+ * @throws {Error} when a value has a different type from its default
+ */
+export function fillDefaults(target, defaults, path = 'state') {
+  const kind = (value) => Array.isArray(value) ? 'list' : value === null ? 'null' : typeof value;
+  Object.entries(defaults).forEach(([key, value]) => {
+    const current = target[key];
+    if (current === undefined || (current === null && value !== null)) {
+      target[key] = structuredClone(value);
+    } else if (value !== null && current !== null && kind(current) !== kind(value)) {
+      throw new Error(`${path}.${key} has the wrong type (expected ${kind(value)}, found ${kind(current)}).`);
+    } else if (kind(value) === 'object') {
+      fillDefaults(current, value, `${path}.${key}`);
+    }
+  });
+  return target;
+}
+
+/**
+ * Restore what the rest of the app relies on: the current week, at least one
+ * cash profile with a valid active one, complete archived weeks and an id on
+ * every row.
+ * @param {object} s an upgraded state
+ * @returns {object}
+ */
+export function normalizeState(s) {
+  if (!s.weekStart) s.weekStart = weekStartISO();
+  const fillCash = (cash) => {
+    if (!cash.profiles.length) cash.profiles = structuredClone(defaultState.cash.profiles);
+    if (!cash.profiles.some(p => p.id === cash.active)) cash.active = cash.profiles[0].id;
+  };
+  fillCash(s.cash);
+  s.history.forEach((week, i) => {
+    fillDefaults(week, { openingCents: 0, cash: defaultState.cash, income: defaultState.income, sales: defaultState.sales }, `state.history[${i}]`);
+    fillCash(week.cash);
+  });
+  // Default rows and rows saved before sync existed have no ids. Derive them
+  // from the row's position so two devices with the same data agree on them.
+  rowCollections(s).forEach(({ week, key, rows }) => rows.forEach((row, i) => {
+    if (!row.id) Object.assign(row, { id: `${week}:${key}:${i}`, updatedAt: 0 });
+  }));
+  return s;
+}
+
+/**
+ * Generate a reasonably unique id for user-created records.
+ * @returns {string}
+ */
+export function newId() {
+  if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * List every collection of id-carrying rows in a state, with the week each
+ * belongs to (null for recurring templates and categories) so rows can be matched across
+ * states that are on different weeks.
+ * @param {object} s
+ * @returns {Array<{week: (string|null), key: string, rows: Array<object>, owner: object, field: string}>}
+ */
+export function rowCollections(s) {
+  const offsets = { cashFlowExtra: 0, incomeRows: 0, outgoingThisWeek: 0, incomeNextWeek: 1, outgoingNextWeek: 1 };
+  const collections = Object.keys(s.income).map(key => ({
+    week: addDaysISO(s.weekStart, 7 * (offsets[key] || 0)), key, rows: s.income[key], owner: s.income, field: key
+  }));
+  (s.futureWeeks || []).forEach((week, i) => {
+    ['incomeRows', 'outgoingRows'].forEach(field => collections.push({
+      week: addDaysISO(s.weekStart, 7 * (i + 2)),
+      key: field === 'incomeRows' ? 'incomeRows' : 'outgoingThisWeek',
+      rows: week[field], owner: week, field
+    }));
+  });
+  collections.push({ week: s.weekStart, key: 'cashProfiles', rows: s.cash.profiles, owner: s.cash, field: 'profiles' });
+  if (s.recurring) collections.push({ week: null, key: 'recurring', rows: s.recurring, owner: s, field: 'recurring' });
+  if (s.categories) collections.push({ week: null, key: 'categories', rows: s.categories, owner: s, field: 'categories' });
+  if (s.transactions) collections.push({ week: s.weekStart, key: 'transactions', rows: s.transactions, owner: s, field: 'transactions' });
+  if (s.sales) collections.push({ week: s.weekStart, key: 'sales', rows: s.sales, owner: s, field: 'sales' });
+  return collections;
+}
+
+/**
+ * Whether rows in a section are income or outgoing. Cash flow lines count as income.
+ * @param {string} sectionKey key in `income` or a forecast week
+ * @returns {'income'|'outgoing'}
+ */
+export function rowKind(sectionKey) {
+  return /^outgoing/.test(sectionKey) ? 'outgoing' : 'income';
+}
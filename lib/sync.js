@@ -0,0 +1,149 @@
+// lib/sync.js - merging the state across devices. Every row carries an `id`
+// and the time it last changed, and deleted rows leave a tombstone, so two
+// copies of the state can be merged row by row instead of one overwriting
+// the other. The client is passed in: the app hands over its Supabase client
+// and the tests a stand-in for the REST endpoint.
+
+import { rowCollections, upgradeState, normalizeState, newId } from './state.js';
+
+/** Table holding one state document per user and workspace. */
+export const SYNC_TABLE = 'cashflow_state';
+
+/** Tombstones older than this are dropped; devices offline longer may resurrect rows. */
+export const TOMBSTONE_TTL_MS = 60 * 24 * 60 * 60 * 1000;
+
+/** Writes tried before giving up when other devices keep writing first. */
+export const SYNC_ATTEMPTS = 3;
+
+/**
+ * Stamp what changed since the last save: new rows get an id, edited rows
+ * (cash profiles included) get the current time and removed rows leave a tombstone.
+ * @param {object} before state as last saved
+ * @param {object} after state about to be saved (modified in place)
+ * @param {number} [now]
+ */
+export function stampChanges(before, after, now = Date.now()) {
+  const strip = ({ updatedAt, ...rest }) => JSON.stringify(rest);
+  const previous = new Map();
+  rowCollections(before).forEach(({ rows }) => rows.forEach(row => previous.set(row.id, row)));
+  const seen = new Set();
+  rowCollections(after).forEach(({ rows }) => rows.forEach(row => {
+    if (!row.id || seen.has(row.id)) row.id = newId();
+    seen.add(row.id);
+    const old = previous.get(row.id);
+    if (!old || strip(old) !== strip(row)) row.updatedAt = now;
+  }));
+  previous.forEach((_row, id) => { if (!seen.has(id)) after.deleted[id] = now; });
+  Object.keys(after.deleted).forEach(id => {
+    if (now - after.deleted[id] > TOMBSTONE_TTL_MS) delete after.deleted[id];
+  });
+  after.updatedAt = now;
+}
+
+/**
+ * Merge two versions of the state row by row.
+ *
+ * The version on the later week (or, on the same week, the later edit)
+ * supplies the structure: week, settings and which section each row sits in.
+ * Every row then takes its newest version from either side, rows deleted
+ * after their last edit are dropped, and rows only the other side has are
+ * added to the matching section for their week. Archived weeks are combined.
+ * @param {object} local
+ * @param {object} remote
+ * @param {number} since last successful sync; edits on both sides after it count as conflicts
+ * @returns {{state: object, conflicts: number}}
+ */
+export function mergeStates(local, remote, since) {
+  const localLeads = local.weekStart > remote.weekStart ||
+    (local.weekStart === remote.weekStart && (local.updatedAt || 0) >= (remote.updatedAt || 0));
+  const primary = localLeads ? local : remote;
+  const secondary = localLeads ? remote : local;
+  const merged = structuredClone(primary);
+  let conflicts = 0;
+
+  const deleted = merged.deleted = { ...merged.deleted };
+  Object.entries(secondary.deleted || {}).forEach(([id, at]) => { deleted[id] = Math.max(deleted[id] || 0, at); });
+  const isDeleted = (row) => deleted[row.id] !== undefined && deleted[row.id] >= (row.updatedAt || 0);
+
+  // Newest version of every row; ties go to the primary side
+  const newest = new Map();
+  [secondary, primary].forEach(side => rowCollections(side).forEach(({ rows }) => rows.forEach(row => {
+    const other = newest.get(row.id);
+    if (other && other.updatedAt > since && row.updatedAt > since &&
+        JSON.stringify({ ...other, updatedAt: 0 }) !== JSON.stringify({ ...row, updatedAt: 0 })) {
+      conflicts++;
+    }
+    if (!other || (row.updatedAt || 0) >= (other.updatedAt || 0)) newest.set(row.id, row);
+  })));
+
+  const placed = new Set();
+  const targets = rowCollections(merged);
+  targets.forEach(({ rows, owner, field }) => {
+    owner[field] = rows.filter(row => !isDeleted(newest.get(row.id))).map(row => {
+      placed.add(row.id);
+      return structuredClone(newest.get(row.id));
+    });
+  });
+  rowCollections(secondary).forEach(({ week, key, rows }) => {
+    const target = targets.find(t => t.week === week && t.key === key);
+    if (!target) return;
+    rows.forEach(row => {
+      const latest = newest.get(row.id);
+      if (placed.has(row.id) || isDeleted(latest)) return;
+      placed.add(row.id);
+      target.owner[target.field].push(structuredClone(latest));
+    });
+  });
+
+  const overrides = structuredClone(secondary.recurringOverrides || {});
+  Object.entries(primary.recurringOverrides || {}).forEach(([week, items]) => {
+    overrides[week] = { ...overrides[week], ...items };
+  });
+  merged.recurringOverrides = overrides;
+
+  const weeks = new Map();
+  [...(secondary.history || []), ...(primary.history || [])].forEach(week => {
+    const other = weeks.get(week.weekStart);
+    if (!other || String(week.closedAt) >= String(other.closedAt)) weeks.set(week.weekStart, week);
+  });
+  merged.history = [...weeks.values()].sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+  merged.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0);
+  return { state: merged, conflicts };
+}
+
+/**
+ * Pull a workspace's stored state, merge the local state into it and write
+ * the result back. The write only lands if the revision is still the one
+ * pulled (or, for a first upload, no row exists yet); when another device
+ * wrote in between, the newer copy is pulled and merged again.
+ * @param {object} client Supabase client, or a stand-in with the same query methods
+ * @param {{userId: string, workspaceId: string, name: string, since: number, local: () => object}} options
+ *   `since` is the last successful sync (see mergeStates()); `local` returns a
+ *   copy of the local state, taken afresh for each attempt
+ * @returns {Promise<{base: object, state: object, conflicts: number, revision: number}>} `base`
+ *   is the local copy the merged `state` was built from
+ * @throws {Error} when a request fails, the stored state comes from a newer
+ *   version (`code` 'SCHEMA_TOO_NEW') or every attempt lost to another device
+ */
+export async function pushState(client, { userId, workspaceId, name, since, local }) {
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+    const { data: remote, error: pullError } = await client
+      .from(SYNC_TABLE).select('state, revision').eq('user_id', userId).eq('workspace_id', workspaceId).maybeSingle();
+    if (pullError) throw pullError;
+    const base = local();
+    const { state, conflicts } = remote
+      ? mergeStates(base, normalizeState(upgradeState(remote.state)), since)
+      : { state: base, conflicts: 0 };
+    const revision = remote ? remote.revision + 1 : 1;
+    const row = { user_id: userId, workspace_id: workspaceId, name, state, revision, updated_at: new Date().toISOString() };
+    const { data: written, error: pushError } = remote
+      ? await client.from(SYNC_TABLE).update(row)
+        .eq('user_id', userId).eq('workspace_id', workspaceId).eq('revision', remote.revision).select('revision')
+      : await client.from(SYNC_TABLE).insert(row).select('revision');
+    // Unique violation on insert or no row matched the revision: someone else wrote first
+    if (pushError && pushError.code !== '23505') throw pushError;
+    if (pushError || !written || !written.length) continue;
+    return { base, state, conflicts, revision };
+  }
+  throw new Error('State kept changing on the server');
+}
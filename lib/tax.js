@@ -0,0 +1,87 @@
+// lib/tax.js - GST included in income and outgoing lines. Amounts are
+// entered as paid, tax included; a line marked exempt carries none. Figures
+// are whole cents, split out at the rate from the settings.
+
+import { sectionRows } from './recurring.js';
+import { SALES_CATEGORY, weekSales } from './sales.js';
+
+/**
+ * Whether lines in a section carry GST. Cash flow lines move money in or out
+ * without a sale, such as a loan or the owner topping up the till, so they
+ * carry none.
+ * @param {string} sectionKey key in `income`
+ * @returns {boolean}
+ */
+export function taxApplies(sectionKey) {
+  return sectionKey !== 'cashFlowExtra';
+}
+
+/**
+ * Tax contained in a tax-inclusive amount, e.g. 1/11th at 10%. Rounds half
+ * away from zero so refunds mirror the sales they reverse.
+ * @param {number} cents
+ * @param {number} rate percent
+ * @returns {number} cents
+ */
+export function taxIncluded(cents, rate) {
+  const tax = Math.abs(cents) * rate / (100 + rate);
+  return Math.sign(cents) * Math.round(tax) || 0;
+}
+
+/**
+ * Tax in one line item. Lines count as tax-inclusive unless marked exempt.
+ * @param {{cents: (number|null), tax?: string}} row
+ * @param {number} rate percent
+ * @returns {number} cents
+ */
+export function rowTax(row, rate) {
+  return row.tax === 'exempt' || !row.cents ? 0 : taxIncluded(row.cents, rate);
+}
+
+/**
+ * Tax collected on a week's income and paid on its outgoings, recurring
+ * items included; cash flow lines are left out (see taxApplies()). Logged
+ * takings are taxed like the Sales lines they stand in for.
+ * @param {object} s state or archived week
+ * @param {number} rate percent
+ * @returns {{collected: number, paid: number, net: number}} `net` is owed when positive
+ */
+export function weekTax(s, rate) {
+  const sum = (rows) => rows.reduce((total, row) => total + rowTax(row, rate), 0);
+  const rows = sectionRows(s, 'incomeRows');
+  const sales = weekSales(s);
+  const salesRows = rows.filter(row => row.category === SALES_CATEGORY);
+  const exempt = salesRows.length > 0 && salesRows.every(row => row.tax === 'exempt');
+  // sectionRows() can hand back the stored list itself, so the takings line goes on a copy
+  const income = [...rows, { cents: sales.expected - sales.projected, tax: exempt ? 'exempt' : 'inclusive' }];
+  const collected = sum(income);
+  const paid = sum(sectionRows(s, 'outgoingThisWeek'));
+  return { collected, paid, net: collected - paid };
+}
+
+/**
+ * First day of the quarter holding a date. Quarters start in January, April,
+ * July and October, as BAS periods do.
+ * @param {string} iso
+ * @returns {string} ISO date
+ */
+export function quarterStartISO(iso) {
+  const [y, m] = iso.split('-').map(Number);
+  return `${y}-${String(m - (m - 1) % 3).padStart(2, '0')}-01`;
+}
+
+/**
+ * Tax for the quarter to date: this week and the archived weeks before it
+ * that start in the same quarter. A week counts in the quarter its Monday
+ * falls in. Archived weeks use the rate they were closed with.
+ * @param {object} s state
+ * @param {number} rate percent, for this week and weeks closed without one
+ * @returns {{collected: number, paid: number, net: number, start: string, weeks: number}}
+ */
+export function quarterTax(s, rate) {
+  const start = quarterStartISO(s.weekStart);
+  const weeks = s.history.filter(week => week.weekStart >= start && week.weekStart < s.weekStart);
+  const totals = weeks.map(week => weekTax(week, week.taxRate ?? rate)).concat(weekTax(s, rate));
+  const add = (field) => totals.reduce((total, week) => total + week[field], 0);
+  return { collected: add('collected'), paid: add('paid'), net: add('net'), start, weeks: totals.length };
+}
@@ -0,0 +1,155 @@
+// lib/totals.js - cash counts, line item totals and the balance forecast.
+// Every figure is whole cents. Functions take the state (or archived week)
+// they work on, and the currency whose denominations the cash was counted in.
+
+import { denomCents, denomKey } from './money.js';
+import { addDaysISO } from './dates.js';
+import { defaultState, newId } from './state.js';
+import { sectionRows, dueRecurringRows } from './recurring.js';
+import { weekSales } from './sales.js';
+
+/** Smallest and largest forecast horizons offered on the Summary page. */
+export const MIN_FORECAST_WEEKS = 2;
+export const MAX_FORECAST_WEEKS = 12;
+
+/**
+ * Add up the amounts of line items, treating blanks as zero.
+ * @param {Array<{cents: (number|null)}>} arr
+ * @returns {number} cents
+ */
+export function sumAmounts(arr) {
+  return arr.reduce((total, item) => total + (item.cents || 0), 0);
+}
+
+/**
+ * Compute subtotals for notes and coins, the count total, and the cash to
+ * bank once the profile's float is kept back.
+ * @param {{quantities: object, floatCents: (number|null)}} profile counts keyed by denomKey()
+ * @param {{notes: number[], coins: number[]}} currency see currencyFor()
+ * @returns {{notesSubtotal: number, coinsSubtotal: number, total: number, float: number, toBank: number}}
+ */
+export function profileTotals(profile, currency) {
+  const q = profile.quantities || {};
+  const sum = (kind, arr) => arr.reduce((acc, d) => acc + (Number(q[denomKey(kind, d)] || 0) * denomCents(d)), 0);
+  const notesSubtotal = sum('note', currency.notes);
+  const coinsSubtotal = sum('coin', currency.coins);
+  const total = notesSubtotal + coinsSubtotal;
+  const float = profile.floatCents || 0;
+  return { notesSubtotal, coinsSubtotal, total, float, toBank: total - float };
+}
+
+/**
+ * Compute subtotals for notes and coins and overall cash total, combined
+ * across every cash profile, along with each profile's own figures.
+ * @param {object} cash
+ * @param {{notes: number[], coins: number[]}} currency
+ * @returns {{notesSubtotal: number, coinsSubtotal: number, total: number, float: number, toBank: number,
+ *   profiles: Array<{id: string, name: string, notesSubtotal: number, coinsSubtotal: number,
+ *   total: number, float: number, toBank: number}>}}
+ */
+export function cashTotals(cash, currency) {
+  const profiles = cash.profiles.map(p => ({ id: p.id, name: p.name, ...profileTotals(p, currency) }));
+  const add = (key) => profiles.reduce((acc, p) => acc + p[key], 0);
+  return {
+    notesSubtotal: add('notesSubtotal'),
+    coinsSubtotal: add('coinsSubtotal'),
+    total: add('total'),
+    float: add('float'),
+    toBank: add('toBank'),
+    profiles
+  };
+}
+
+/**
+ * Add up denomination counts across every cash profile.
+ * @param {object} cash
+ * @returns {Object<string, number>}
+ */
+export function combinedQuantities(cash) {
+  const combined = {};
+  cash.profiles.forEach(p => Object.entries(p.quantities || {}).forEach(([denom, qty]) => {
+    combined[denom] = (combined[denom] || 0) + Number(qty || 0);
+  }));
+  return combined;
+}
+
+/**
+ * Compute the Summary balances for this week and next week.
+ * Shared by the Summary page, the CSV export and the History views so they
+ * all report the same figures.
+ * @param {object} s state or archived week
+ * @param {{notes: number[], coins: number[]}} currency
+ * @returns {{openingCash: number, cashTotal: number, incomeTotal: number, expThis: number,
+ *   incomeNext: number, expNext: number, thisRemaining: number, nextStart: number, nextRemaining: number}}
+ */
+export function summaryTotals(s, currency) {
+  const cash = cashTotals(s.cash, currency);
+  const openingCash = s.openingCents || 0;
+  // Takings logged so far stand in for their days' share of the projected sales
+  const sales = weekSales(s);
+  const incomeTotal = sumAmounts(sectionRows(s, 'incomeRows')) - sales.projected + sales.expected;
+  const expThis = sumAmounts(sectionRows(s, 'outgoingThisWeek'));
+  const expNext = sumAmounts(sectionRows(s, 'outgoingNextWeek'));
+  const incomeNext = sumAmounts(sectionRows(s, 'incomeNextWeek'));
+  // This week's remaining after opening balance + cash + income - expenses
+  const thisRemaining = openingCash + cash.total + incomeTotal - expThis;
+  // Next week's starting cash = thisRemaining
+  const nextStart = thisRemaining;
+  const nextRemaining = nextStart + incomeNext - expNext;
+  return { openingCash, cashTotal: cash.total, incomeTotal, expThis, incomeNext, expNext, thisRemaining, nextStart, nextRemaining };
+}
+
+/**
+ * Create an empty week for the forecast beyond next week. Its rows have ids
+ * already, so they can be edited before the week is first saved.
+ * @returns {{incomeRows: Array, outgoingRows: Array}}
+ */
+export function newForecastWeek() {
+  return {
+    incomeRows: defaultState.income.incomeNextWeek.map(row => ({ ...row, id: newId() })),
+    outgoingRows: defaultState.income.outgoingNextWeek.map(row => ({ ...row, id: newId() }))
+  };
+}
+
+/**
+ * Project balances across the configured horizon. Each week starts with the
+ * previous week's remaining balance; weeks without a plan only carry their
+ * recurring items.
+ * @param {object} s
+ * @param {{notes: number[], coins: number[]}} currency
+ * @returns {Array<{number: number, weekStart: string, start: number, income: number,
+ *   expenses: number, remaining: number, openingCash?: number, cashTotal?: number}>}
+ */
+export function forecastWeeks(s, currency) {
+  const totals = summaryTotals(s, currency);
+  const weeks = [
+    {
+      number: 1, weekStart: s.weekStart, openingCash: totals.openingCash, cashTotal: totals.cashTotal,
+      start: totals.openingCash + totals.cashTotal, income: totals.incomeTotal, expenses: totals.expThis,
+      remaining: totals.thisRemaining
+    },
+    {
+      number: 2, weekStart: addDaysISO(s.weekStart, 7), start: totals.nextStart,
+      income: totals.incomeNext, expenses: totals.expNext, remaining: totals.nextRemaining
+    }
+  ];
+  for (let n = 3; n <= forecastHorizon(s); n++) {
+    const week = s.futureWeeks[n - 3];
+    const weekStart = addDaysISO(s.weekStart, 7 * (n - 1));
+    const start = weeks[weeks.length - 1].remaining;
+    const income = sumAmounts((week ? week.incomeRows : []).concat(dueRecurringRows(s, 'income', weekStart)));
+    const expenses = sumAmounts((week ? week.outgoingRows : []).concat(dueRecurringRows(s, 'outgoing', weekStart)));
+    weeks.push({ number: n, weekStart, start, income, expenses, remaining: start + income - expenses });
+  }
+  return weeks;
+}
+
+/**
+ * Number of weeks in the forecast, clamped to the supported range.
+ * @param {object} s
+ * @returns {number}
+ */
+export function forecastHorizon(s) {
+  const n = Math.round(Number(s.settings.forecastWeeks)) || defaultState.settings.forecastWeeks;
+  return Math.min(MAX_FORECAST_WEEKS, Math.max(MIN_FORECAST_WEEKS, n));
+}
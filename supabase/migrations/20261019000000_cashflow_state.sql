@@ -0,0 +1,25 @@
+-- One cashflow state document per user, written by the app's cloud sync.
+-- `revision` is bumped on every write; clients update with
+-- `where revision = <what they read>` so concurrent writes are detected and
+-- merged instead of overwriting each other.
+create table if not exists public.cashflow_state (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  state jsonb not null,
+  revision bigint not null default 1,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.cashflow_state enable row level security;
+
+create policy "Users read their own state"
+  on public.cashflow_state for select
+  using (auth.uid() = user_id);
+
+create policy "Users insert their own state"
+  on public.cashflow_state for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users update their own state"
+  on public.cashflow_state for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
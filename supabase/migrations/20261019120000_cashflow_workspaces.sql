@@ -0,0 +1,14 @@
+-- Workspaces: one cashflow state document per user and workspace. Rows
+-- written before workspaces existed become the user's 'default' workspace,
+-- which is where the app keeps data saved before the upgrade. `name` is the
+-- workspace's display name, so other devices can list it before opening it.
+alter table public.cashflow_state
+  add column if not exists workspace_id text not null default 'default',
+  add column if not exists name text not null default '';
+
+alter table public.cashflow_state drop constraint if exists cashflow_state_pkey;
+alter table public.cashflow_state add primary key (user_id, workspace_id);
+
+create policy "Users delete their own state"
+  on public.cashflow_state for delete
+  using (auth.uid() = user_id);
@@ -1,13 +1,24 @@
-// sw.js - App Shell + offline with network-first navigations
-// Bump the cache version whenever app shell files change to ensure
-// updated resources are fetched rather than old cached ones.
-const CACHE_NAME = 'cashflow-cache-v4';
+// sw.js - App Shell + offline with cache-first app shell per version
+// VERSION is the single place the app version lives. Bump it in every change
+// to a file listed in APP_SHELL, not only when the list itself changes: the
+// browser then installs this worker alongside the old one, the page offers an
+// "Update available" prompt, and the new cache only takes over once the user
+// reloads. Without a bump, installed clients keep serving the old shell.
+const VERSION = '27';
+const CACHE_NAME = `cashflow-cache-v${VERSION}`;
 const APP_SHELL = [
   '/',
   '/index.html',
-  // Include versioned files to ensure the SW caches the latest versions
-  '/styles.css?v=4',
-  '/app.js?v=4',
+  '/styles.css',
+  '/app.js',
+  '/lib/money.js',
+  '/lib/dates.js',
+  '/lib/state.js',
+  '/lib/recurring.js',
+  '/lib/totals.js',
+  '/lib/sales.js',
+  '/lib/tax.js',
+  '/lib/sync.js',
   '/env.js',
   '/manifest.json',
   '/offline.html',
@@ -18,6 +29,9 @@ const APP_SHELL = [
   '/icons/favicon-32.png'
 ];
 
+// Background Sync tag registered by the page when state writes are pending
+const SYNC_TAG = 'cashflow-sync';
+
 const SUPABASE_PREFIXES = [
   'https://api.supabase.com',
   'https://*.supabase.co',
@@ -25,8 +39,11 @@ const SUPABASE_PREFIXES = [
 ];
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
-  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+  // Bypass the HTTP cache so the new version really fetches the new files.
+  // No skipWaiting() here: the page asks for it once the user agrees to reload.
+  event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+    cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+  ));
 });
 
 self.addEventListener('activate', (event) => {
@@ -37,6 +54,35 @@ self.addEventListener('activate', (event) => {
   })());
 });
 
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil((async () => {
+    // Pending writes live in the page's storage, so ask open pages to flush them
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    // Only a page can sync; failing leaves the browser to try again later
+    if (!windows.length) throw new Error('No open window to sync from');
+    windows.forEach(client => client.postMessage({ type: 'FLUSH_SYNC' }));
+  })());
+});
+
+// Budget and balance alerts: open the app, or bring an open window forward,
+// on the page the alert is about
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => new URL(c.url).origin === self.location.origin);
+    if (!client) return self.clients.openWindow(url);
+    await client.focus();
+    return client.navigate(url).catch(() => {});
+  })());
+});
+
 function isSupabase(url) {
   return SUPABASE_PREFIXES.some(prefix => {
     if (prefix.includes('*')) {
@@ -47,13 +93,21 @@ function isSupabase(url) {
   });
 }
 
+function isAppShell(url) {
+  const { origin, pathname } = new URL(url);
+  return origin === self.location.origin && APP_SHELL.includes(pathname);
+}
+
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   if (request.mode === 'navigate') {
+    // Serve the cached shell so the page always matches this version's app.js
     event.respondWith((async () => {
+      const cache = await caches.open(CACHE_NAME);
+      const shell = await cache.match('/index.html');
+      if (shell) return shell;
       try { return await fetch(request); }
       catch (err) {
-        const cache = await caches.open(CACHE_NAME);
         return (await cache.match('/offline.html')) || new Response('Offline', { status: 503 });
       }
     })());
@@ -61,6 +115,13 @@ self.addEventListener('fetch', (event) => {
   }
   const url = request.url;
   if (isSupabase(url)) return; // never cache Supabase
+  if (request.method === 'GET' && isAppShell(url)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(CACHE_NAME);
+      return (await cache.match(request, { ignoreSearch: true })) || fetch(request);
+    })());
+    return;
+  }
   event.respondWith((async () => {
     const cache = await caches.open(CACHE_NAME);
     const cached = await cache.match(request);
@@ -70,4 +131,4 @@ self.addEventListener('fetch', (event) => {
     }).catch(() => cached);
     return cached || networkFetch;
   })());
-});
\ No newline at end of file
+});
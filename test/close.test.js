@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, type } from './dom.js';
+import { defaultState, SCHEMA_VERSION } from '../lib/state.js';
+import { weekStartISO } from '../lib/dates.js';
+
+const saved = structuredClone(defaultState);
+saved.schemaVersion = SCHEMA_VERSION;
+saved.weekStart = weekStartISO();
+saved.openingCents = 5000;
+saved.cash.profiles[0].quantities = { 'note:50': 2 };
+
+const window = await bootApp({ hash: '#/summary', storage: { 'state-cashflow': JSON.stringify(saved) } });
+const { document } = window;
+after(() => window.close());
+
+/** Text of the Summary rows for this week, e.g. { 'Opening balance': '$50.00', … }. */
+function thisWeek() {
+  const column = document.querySelector('.summary-col');
+  return Object.fromEntries([...column.querySelectorAll('.summary-row')].map(row =>
+    [row.querySelector('span').textContent, row.querySelector('.value').textContent]));
+}
+
+/** Close the week from the Summary, then count two $50 notes on the Cash page. */
+async function closeAndRecount() {
+  await visit(window, '#/summary');
+  document.getElementById('closeWeek').click();
+  await visit(window, '#/summary');
+  assert.match(document.getElementById('app').textContent, /opening balance leaves out the \$100\.00 of cash counted when last week was closed/);
+  await visit(window, '#/cash');
+  type(document.querySelector('.row[data-kind="note"][data-denom="50"] input.qty'), '2');
+  await visit(window, '#/summary');
+}
+
+test('cash still on hand is not carried into the opening balance', async () => {
+  await visit(window, '#/summary');
+  assert.equal(thisWeek().Remaining, '$150.00');
+  await closeAndRecount();
+  assert.deepEqual([thisWeek()['Opening balance'], thisWeek()['Cash on hand'], thisWeek().Remaining], ['$50.00', '$100.00', '$150.00']);
+  assert.doesNotMatch(document.getElementById('app').textContent, /leaves out the cash/, 'shown only until the cash is counted');
+  await closeAndRecount();
+  assert.deepEqual([thisWeek()['Opening balance'], thisWeek()['Cash on hand'], thisWeek().Remaining], ['$50.00', '$100.00', '$150.00']);
+  assert.deepEqual(JSON.parse(window.localStorage.getItem('state-cashflow')).history.map(week => week.openingCents), [5000, 5000]);
+});
+
+test('archived weeks keep the currency they were closed with', async () => {
+  await visit(window, '#/settings');
+  const currency = document.getElementById('currency');
+  currency.value = 'EUR';
+  currency.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await visit(window, '#/summary');
+  assert.match(thisWeek().Remaining, /€/);
+  const [week] = JSON.parse(window.localStorage.getItem('state-cashflow')).history;
+  for (const hash of ['#/history', `#/history/${week.weekStart}`, `#/report/${week.weekStart}`]) {
+    await visit(window, hash);
+    const text = document.getElementById('app').textContent;
+    assert.match(text, /\$150\.00/, hash);
+    assert.doesNotMatch(text, /€/, hash);
+  }
+});
@@ -0,0 +1,78 @@
+// test/dom.js - boot the app against index.html in jsdom.
+//
+// app.js is an ES module that uses the browser's globals directly, so the
+// emulated window's are installed on Node's globalThis before importing it.
+// Node runs each test file in its own process and imports a module once,
+// which makes every file one page load: seed storage through bootApp().
+// IndexedDB is missing here, so the app keeps its data in localStorage.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser globals app.js reads without going through `window`. Events and
+ * abort signals must come from jsdom: its listeners reject Node's own.
+ */
+const GLOBALS = [
+  'window', 'self', 'document', 'location', 'history', 'navigator', 'localStorage', 'sessionStorage',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'AbortController', 'AbortSignal', 'confirm', 'alert'
+];
+
+/**
+ * Load index.html, seed storage and run app.js in it.
+ * @param {{hash?: string, storage?: Object<string, string>, confirm?: (message: string) => boolean}} [options]
+ *   `storage` is written to localStorage first, e.g. a saved 'state-cashflow'
+ * @returns {Promise<Window>} the jsdom window the app is running in
+ */
+export async function bootApp({ hash = '#/', storage = {}, confirm = () => true } = {}) {
+  const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8')
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const { window } = new JSDOM(html, { url: `https://cashflow.test/${hash}`, pretendToBeVisual: true });
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  window.confirm = confirm;
+  window.alert = () => {};
+  GLOBALS.forEach(key => Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true }));
+  await import('../app.js');
+  await settle();
+  return window;
+}
+
+/**
+ * Navigate to a route and wait for it to render.
+ * @param {Window} window
+ * @param {string} hash e.g. '#/summary'
+ * @returns {Promise<void>}
+ */
+export async function visit(window, hash) {
+  window.location.hash = hash;
+  await settle();
+}
+
+/**
+ * Wait for pending timers and promises, such as the router and storage opening.
+ * @param {number} [ms]
+ * @returns {Promise<void>}
+ */
+export function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Type into an input the way a user would, firing its input event.
+ * @param {HTMLInputElement} input
+ * @param {string} value
+ */
+export function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new input.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+/**
+ * Press a key on an element, firing keydown as the browser would.
+ * @param {HTMLElement} target
+ * @param {string} key e.g. 'Enter' or 'ArrowDown'
+ * @param {KeyboardEventInit} [init] modifier keys
+ */
+export function press(target, key, init = {}) {
+  target.dispatchEvent(new target.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+}
@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, settle } from './dom.js';
+import { defaultState, SCHEMA_VERSION } from '../lib/state.js';
+import { weekStartISO } from '../lib/dates.js';
+
+const saved = structuredClone(defaultState);
+saved.schemaVersion = SCHEMA_VERSION;
+saved.weekStart = weekStartISO();
+saved.income.incomeRows[0].cents = 120000;
+saved.income.outgoingThisWeek.find(row => row.desc === 'Phone').cents = 2000;
+saved.cash.profiles = [
+  { id: 'main', name: 'Main till', floatCents: 20000, quantities: { 'note:50': 2 } },
+  { id: 'safe', name: 'Safe', floatCents: null, quantities: { 'note:20': 5, 'coin:2': 1 } }
+];
+saved.recurring = [{
+  id: 'phone-plan', kind: 'outgoing', desc: 'Phone', cents: 5500, category: 'phone', tags: [],
+  frequency: 'weekly', day: 1, start: '2026-01-05'
+}];
+
+const window = await bootApp({ hash: '#/', storage: { 'state-cashflow': JSON.stringify(saved) } });
+const { document } = window;
+after(() => window.close());
+
+/** The stored state, as written through the localStorage fallback. */
+function stored() {
+  return JSON.parse(window.localStorage.getItem('state-cashflow'));
+}
+
+/** Click the Home page's CSV export and read back the file it offers. */
+async function exportCsv() {
+  // app.js builds the download with Node's Blob and URL, which share these globals
+  const { createObjectURL } = URL;
+  let blob;
+  URL.createObjectURL = (b) => { blob = b; return createObjectURL(b); };
+  // jsdom cannot follow the download link
+  const stay = (e) => { if (e.target.matches('a[download]')) e.preventDefault(); };
+  document.addEventListener('click', stay);
+  try {
+    await visit(window, '#/');
+    document.getElementById('exportCsv').click();
+  } finally {
+    URL.createObjectURL = createObjectURL;
+    document.removeEventListener('click', stay);
+  }
+  return blob.text();
+}
+
+/** Pick a file for the Home page import and apply it with the default modes. */
+async function importFile(name, text) {
+  const input = document.getElementById('importInput');
+  Object.defineProperty(input, 'files', { value: [{ name, text: async () => text }], configurable: true });
+  input.dispatchEvent(new window.Event('change'));
+  await settle();
+  document.getElementById('applyImport').click();
+  await settle();
+}
+
+test('a CSV round trip leaves rows due from recurring items to their templates', async () => {
+  const csv = await exportCsv();
+  assert.match(csv, /,Outgoing This Week,Phone,,55\.00,Phone,,Inclusive,5\.00,Yes,\r\n/);
+  assert.match(csv, /,Outgoing This Week,Phone,,20\.00,Phone,,Inclusive,1\.82,,\r\n/);
+  await importFile('cashflow.csv', csv);
+  const outgoing = stored().income.outgoingThisWeek;
+  assert.deepEqual(outgoing.filter(row => row.desc === 'Phone').map(row => row.cents), [2000]);
+  assert.equal(outgoing.length, defaultState.income.outgoingThisWeek.length);
+  await visit(window, '#/summary');
+  const expenses = [...document.querySelector('.summary-col').querySelectorAll('.summary-row')]
+    .find(row => row.querySelector('span').textContent === 'Expenses');
+  assert.equal(expenses.querySelector('.value').textContent, '-$75.00');
+});
+
+test('a CSV round trip puts each profile\'s counts back in that profile', async () => {
+  const csv = await exportCsv();
+  assert.match(csv, /,Cash,\$50\.00 note,2,100\.00,,,,,,Main till\r\n/);
+  assert.match(csv, /,Cash,\$50\.00 note,0,0\.00,,,,,,Safe\r\n/);
+  await importFile('cashflow.csv', csv);
+  assert.deepEqual(stored().cash.profiles.map(p => [p.name, p.floatCents, p.quantities]), [
+    ['Main till', 20000, { 'note:50': 2 }],
+    ['Safe', null, { 'note:20': 5, 'coin:2': 1 }]
+  ]);
+});
+
+test('counts from CSV files without profiles are kept apart from every till', async () => {
+  const header = 'Week,Section,Description,Quantity,Amount,Category,Tags,GST Status,GST';
+  await importFile('old.csv', `${header}\r\n2026-10-19,Cash,$50.00,3,150.00\r\n`);
+  assert.deepEqual(stored().cash.profiles.map(p => [p.name, p.quantities]), [
+    ['Main till', { 'note:50': 2 }],
+    ['Safe', { 'note:20': 5, 'coin:2': 1 }],
+    ['Imported count', { 'note:50': 3 }]
+  ]);
+});
@@ -0,0 +1,80 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, settle, type, press } from './dom.js';
+
+const window = await bootApp({ hash: '#/' });
+const { document } = window;
+after(() => window.close());
+
+test('navigating moves focus to the page heading', async () => {
+  await visit(window, '#/summary');
+  const heading = document.querySelector('#app h2');
+  assert.equal(document.activeElement, heading);
+  assert.equal(heading.getAttribute('tabindex'), '-1');
+});
+
+test('Enter in a line item adds a row and focuses it', async () => {
+  await visit(window, '#/income');
+  const section = () => document.querySelectorAll('[data-section="outgoingThisWeek"]');
+  const rent = [...section()].find(row => row.querySelector('input.desc').value === 'Rent');
+  assert.equal(rent.querySelector('button.remove-row').getAttribute('aria-label'), 'Remove Rent');
+  const amount = rent.querySelector('input.amount');
+  type(amount, '450');
+  press(amount, 'Enter');
+  assert.equal(section().length, 7);
+  assert.equal(document.activeElement, section()[6].querySelector('input.desc'));
+  assert.equal(amount.value, '450.00');
+});
+
+test('arrow keys and Enter move between denomination quantities', async () => {
+  await visit(window, '#/cash');
+  const inputs = [...document.querySelectorAll('input.qty')];
+  assert.equal(inputs[0].getAttribute('aria-label'), 'Number of $100.00 notes');
+  assert.equal(inputs.at(-1).getAttribute('aria-label'), 'Number of $0.05 coins');
+  inputs[0].focus();
+  press(inputs[0], 'ArrowDown');
+  assert.equal(document.activeElement, inputs[1]);
+  press(inputs[1], 'Enter');
+  assert.equal(document.activeElement, inputs[2]);
+  press(inputs[2], 'ArrowUp');
+  assert.equal(document.activeElement, inputs[1]);
+  press(inputs[0], 'ArrowUp');
+  assert.equal(document.activeElement, inputs[1], 'the first quantity has nothing above it');
+});
+
+test('changed totals are announced with the save status', async () => {
+  const qty = document.querySelector('.row[data-denom="50"] input.qty');
+  type(qty, '2');
+  await settle(600);
+  const status = document.getElementById('saveStatus');
+  assert.equal(status.getAttribute('aria-live'), 'polite');
+  assert.match(status.querySelector('.visually-hidden').textContent, /Total cash \$100\.00, cash to bank \$100\.00/);
+  // The next save without a change to a total says only that it saved
+  await visit(window, '#/income');
+  type(document.querySelector('input.desc'), 'Extra');
+  await settle(600);
+  assert.equal(status.querySelector('.visually-hidden'), null);
+});
+
+test('high contrast can be turned on in Settings', async () => {
+  await visit(window, '#/settings');
+  const toggle = document.getElementById('highContrast');
+  assert.equal(toggle.checked, false);
+  toggle.checked = true;
+  toggle.dispatchEvent(new window.Event('change'));
+  assert.equal(document.documentElement.getAttribute('data-contrast'), 'high');
+  await settle(400);
+  assert.equal(window.localStorage.getItem('contrast'), 'high');
+});
+
+test('icon buttons are named for screen readers, not by their emoji', () => {
+  const swatches = [...document.querySelectorAll('#accentSelect .swatch')];
+  assert.ok(swatches.every(swatch => /accent$/.test(swatch.getAttribute('aria-label'))));
+  assert.equal(swatches.filter(swatch => swatch.getAttribute('aria-pressed') === 'true').length, 1);
+  ['themeToggle', 'authButton'].forEach(id => {
+    const btn = document.getElementById(id);
+    assert.ok(btn.getAttribute('aria-label'));
+    assert.equal(btn.title, btn.getAttribute('aria-label'));
+    assert.equal(btn.querySelector('[aria-hidden="true"]').textContent.length > 0, true);
+  });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currencyFor, moneyFormatFor, centsToDecimal, parseMoney, decimalToCents, denomCents } from '../lib/money.js';
+
+const aud = moneyFormatFor({ currency: 'AUD', locale: '' });
+const german = moneyFormatFor({ currency: 'EUR', locale: 'de-DE' });
+
+test('currencyFor falls back to AUD for unknown codes', () => {
+  assert.equal(currencyFor({ currency: 'XYZ' }).code, 'AUD');
+  assert.deepEqual(currencyFor({ currency: 'NZD' }).coins, [2, 1, 0.5, 0.2, 0.1]);
+});
+
+test('centsToDecimal writes whole cents without floating point', () => {
+  assert.equal(centsToDecimal(-1205), '-12.05');
+  assert.equal(centsToDecimal(7), '0.07');
+  assert.equal(centsToDecimal(123456, ','), '1234,56');
+  assert.equal(centsToDecimal(null), '');
+});
+
+test('parseMoney reads the locale separators and symbols', () => {
+  assert.deepEqual(parseMoney('1,234.50', aud), { cents: 123450 });
+  assert.deepEqual(parseMoney('1.234,50', german), { cents: 123450 });
+  assert.equal(parseMoney('$12', aud).cents, 1200);
+  assert.match(parseMoney('$12', aud).note, /Read "\$12" as 12\.00/);
+  assert.equal(parseMoney('-$5.10', aud).cents, -510);
+  assert.equal(parseMoney('$-5.10', aud).cents, -510);
+  assert.deepEqual(parseMoney('   ', aud), { cents: null });
+});
+
+test('parseMoney rounds extra decimals half away from zero', () => {
+  assert.deepEqual(parseMoney('0.105', aud), { cents: 11, note: 'Rounded to 0.11.' });
+  assert.equal(parseMoney('0.104', aud).cents, 10);
+  assert.equal(parseMoney('-0.105', aud).cents, -11);
+  // 1.005 is 1.00499… as a float; reading digits keeps it exact
+  assert.equal(parseMoney('1.005', aud).cents, 101);
+});
+
+test('parseMoney rejects ambiguous and malformed amounts', () => {
+  assert.match(parseMoney('1,50', aud).error, /ambiguous/);
+  assert.match(parseMoney('twelve', aud).error, /not an amount/);
+  assert.match(parseMoney('9'.repeat(20), aud).error, /too large/);
+  assert.equal(parseMoney('1,50', aud).cents, null);
+});
+
+test('decimalToCents reads plain decimals whatever the locale', () => {
+  assert.equal(decimalToCents('12.50'), 1250);
+  assert.equal(decimalToCents(3.1), 310);
+  assert.equal(decimalToCents(''), null);
+  assert.ok(Number.isNaN(decimalToCents('abc')));
+});
+
+test('denomCents avoids float error on small coins', () => {
+  assert.equal(denomCents(0.05), 5);
+  assert.equal(denomCents(0.1) * 3, 30);
+  assert.equal(denomCents(0.2), 20);
+});
@@ -0,0 +1,35 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, settle } from './dom.js';
+import { weekStartISO } from '../lib/dates.js';
+
+const window = await bootApp({ hash: '#/reconcile' });
+const { document } = window;
+after(() => window.close());
+
+const monday = weekStartISO();
+
+/** The stored state, as written through the localStorage fallback. */
+function stored() {
+  return JSON.parse(window.localStorage.getItem('state-cashflow'));
+}
+
+/** Pick a bank CSV on the Reconcile page and import it with the guessed columns. */
+async function importBank(text) {
+  const input = document.getElementById('bankInput');
+  Object.defineProperty(input, 'files', { value: [{ name: 'bank.csv', text: async () => text }], configurable: true });
+  input.dispatchEvent(new window.Event('change'));
+  await settle();
+  document.getElementById('applyBank').click();
+  await settle();
+  return document.querySelector('#app [role="status"]').textContent;
+}
+
+test('identical transactions in one statement are both imported, and only once', async () => {
+  const csv = `Date,Description,Amount\n${monday},Coffee,-4.50\n${monday},Coffee,-4.50\n${monday},Bread,-6.00\n`;
+  assert.match(await importBank(csv), /^Imported 3 transactions/);
+  assert.deepEqual(stored().transactions.map(t => [t.desc, t.cents]), [['Coffee', -450], ['Coffee', -450], ['Bread', -600]]);
+  // The same statement again, now with a third coffee bought later that day
+  assert.match(await importBank(`${csv}${monday},Coffee,-4.50\n`), /^Imported 1 transactions.* Skipped 3 /);
+  assert.equal(stored().transactions.filter(t => t.desc === 'Coffee').length, 3);
+});
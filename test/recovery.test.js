@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, settle, type } from './dom.js';
+
+const corrupt = '{"weekStart": "2026-10-19", "income": {"incomeRows": [';
+const window = await bootApp({ hash: '#/income', storage: { 'state-cashflow': corrupt } });
+const { document } = window;
+after(() => window.close());
+
+/** Storage keys holding copies of states that could not be read. */
+function unreadableKeys() {
+  return Object.keys(window.localStorage).filter(key => key.startsWith('state-cashflow-unreadable-'));
+}
+
+test('unreadable saved data is kept aside and reported', () => {
+  const keys = unreadableKeys();
+  assert.equal(keys.length, 1);
+  assert.equal(window.localStorage.getItem(keys[0]), corrupt);
+  const notice = document.querySelector('.notice[role="alert"]');
+  assert.match(notice.querySelector('h3').textContent, /Saved data could not be read/);
+  assert.match(notice.textContent, /A copy of the old data was kept/);
+});
+
+test('the app starts from the defaults and saves over the corrupt copy', async () => {
+  await visit(window, '#/income');
+  assert.equal(document.querySelectorAll('[data-section="outgoingThisWeek"]').length, 6);
+  type(document.querySelector('[data-section="outgoingThisWeek"] input.amount'), '12.50');
+  await settle(400);
+  const saved = JSON.parse(window.localStorage.getItem('state-cashflow'));
+  assert.equal(saved.income.outgoingThisWeek[0].cents, 1250);
+  // The copy survives the save, and Settings offers it for download
+  assert.equal(unreadableKeys().length, 1);
+  await visit(window, '#/settings');
+  assert.match(document.getElementById('app').textContent, /Unreadable saved data/);
+});
+
+test('dismissing the notice removes it', () => {
+  document.querySelector('.notice [data-action="dismiss"]').click();
+  assert.equal(document.querySelector('.notice[role="alert"]'), null);
+});
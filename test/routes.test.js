@@ -0,0 +1,169 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, settle, type } from './dom.js';
+import { defaultState, SCHEMA_VERSION } from '../lib/state.js';
+import { weekStartISO } from '../lib/dates.js';
+
+const saved = structuredClone(defaultState);
+saved.schemaVersion = SCHEMA_VERSION;
+saved.weekStart = weekStartISO();
+saved.openingCents = 5000;
+saved.cash.profiles[0].quantities = { 'note:50': 2, 'coin:0.05': 3 };
+saved.income.incomeRows[0].cents = 120000;
+saved.income.outgoingThisWeek[1].cents = 45000;
+saved.income.incomeNextWeek[0].cents = 80000;
+saved.income.outgoingNextWeek[1].cents = 45000;
+
+const window = await bootApp({ hash: '#/summary', storage: { 'state-cashflow': JSON.stringify(saved) } });
+const { document } = window;
+after(() => window.close());
+
+/** Text of the Summary rows in one forecast column, e.g. { Income: '$1,200.00', … }. */
+function summaryColumn(index) {
+  const column = document.querySelectorAll('.summary-col')[index];
+  return Object.fromEntries([...column.querySelectorAll('.summary-row')].map(row =>
+    [row.querySelector('span').textContent, row.querySelector('.value').textContent]));
+}
+
+/** The stored state, as written through the localStorage fallback. */
+function stored() {
+  return JSON.parse(window.localStorage.getItem('state-cashflow'));
+}
+
+test('every route renders its page', async () => {
+  const routes = {
+    '#/': 'Welcome',
+    '#/summary': 'Summary',
+    '#/income': 'Income & Expenses',
+    '#/cash': 'Cash Calculator',
+    '#/history': 'History',
+    '#/recurring': 'Recurring items',
+    '#/reconcile': 'Reconcile',
+    '#/sales': 'Daily sales',
+    '#/forecast/3': 'Week 3',
+    '#/report': 'Cash-up report',
+    '#/settings': 'Settings',
+    '#/account': 'Account'
+  };
+  for (const [hash, heading] of Object.entries(routes)) {
+    await visit(window, hash);
+    assert.equal(document.querySelector('#app h2').textContent, heading, hash);
+  }
+});
+
+test('only the link to the page shown is marked current', async () => {
+  const current = () => [...document.querySelectorAll('[data-route][aria-current="page"]')].map(a => a.dataset.route);
+  await visit(window, '#/');
+  assert.deepEqual(current(), ['/']);
+  await visit(window, '#/summary');
+  assert.deepEqual(current(), ['/summary']);
+  await visit(window, '#/history/2020-01-06');
+  assert.deepEqual(current(), ['/history']);
+  await visit(window, '#/recurring');
+  assert.deepEqual(current(), []);
+});
+
+test('Summary shows the saved balances', async () => {
+  await visit(window, '#/summary');
+  assert.deepEqual(summaryColumn(0), {
+    'Opening balance': '$50.00',
+    'Cash on hand': '$100.15',
+    Income: '$1,200.00',
+    Expenses: '-$450.00',
+    Remaining: '$900.15'
+  });
+  assert.deepEqual(summaryColumn(1), {
+    'Cash on hand': '$900.15',
+    Income: '$800.00',
+    Expenses: '-$450.00',
+    Remaining: '$1,250.15'
+  });
+  assert.equal(document.querySelector('#app [role="alert"]'), null);
+});
+
+test('editing an expense updates the Summary and what is saved', async () => {
+  await visit(window, '#/income');
+  const car = [...document.querySelectorAll('[data-section="outgoingThisWeek"]')]
+    .find(row => row.querySelector('input.desc').value === 'Car');
+  type(car.querySelector('input.amount'), '1,000.05');
+  await visit(window, '#/summary');
+  assert.equal(summaryColumn(0).Remaining, '-$99.90');
+  assert.match(document.querySelector('#app [role="alert"]').textContent, /Balance goes negative/);
+  // Storage writes are batched
+  await settle(400);
+  assert.equal(stored().income.outgoingThisWeek.find(row => row.desc === 'Car').cents, 100005);
+});
+
+test('typing is saved once it pauses, or at once when the page is hidden', async () => {
+  await visit(window, '#/income');
+  const car = () => [...document.querySelectorAll('[data-section="outgoingThisWeek"]')]
+    .find(row => row.querySelector('input.desc').value === 'Car').querySelector('input.amount');
+  const storedCar = () => stored().income.outgoingThisWeek.find(row => row.desc === 'Car').cents;
+  type(car(), '10');
+  assert.equal(storedCar(), 100005);
+  await settle(400);
+  assert.equal(storedCar(), 1000);
+  type(car(), '20');
+  window.dispatchEvent(new window.Event('pagehide'));
+  assert.equal(storedCar(), 2000);
+  // Back to the amount the tests below expect
+  type(car(), '1,000.05');
+  await settle(400);
+});
+
+test('counting cash updates the Cash page totals', async () => {
+  await visit(window, '#/cash');
+  const qty = document.querySelector('.row[data-denom="0.2"] input.qty');
+  type(qty, '4');
+  assert.equal(qty.closest('.row').querySelector('.value').textContent, '$0.80');
+  await visit(window, '#/summary');
+  assert.equal(summaryColumn(0)['Cash on hand'], '$100.95');
+});
+
+test('logging a day\'s takings replaces its share of the projected sales', async () => {
+  await visit(window, '#/sales');
+  const monday = document.querySelector('.sales-day');
+  assert.match(monday.querySelector('.label').textContent, /Projected \$171\.43/);
+  type(monday.querySelector('input.amount'), '200');
+  assert.match(document.getElementById('salesTotals').textContent, /Takings \(1 of 7 days\)\$200\.00/);
+  await visit(window, '#/summary');
+  assert.equal(summaryColumn(0).Income, '$1,228.57');
+  assert.match(document.getElementById('app').textContent, /Expected for the week\$1,228\.57/);
+  await settle(400);
+  assert.deepEqual(stored().sales.map(entry => [entry.date, entry.cents]), [[saved.weekStart, 20000]]);
+});
+
+test('marking the sales GST-free clears the GST collected', async () => {
+  await visit(window, '#/summary');
+  const gst = () => [...document.querySelectorAll('section')].find(section => section.querySelector('h3')?.textContent === 'GST');
+  // $1,228.57 of expected sales, including 1/11th GST
+  assert.match(gst().textContent, /Collected on income\$111\.69\$111\.69/);
+  await visit(window, '#/income');
+  const sales = document.querySelector('[data-section="incomeRows"] input.tax');
+  sales.checked = false;
+  sales.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await visit(window, '#/summary');
+  assert.match(gst().textContent, /Collected on income\$0\.00\$0\.00/);
+  await settle(400);
+  assert.equal(stored().income.incomeRows[0].tax, 'exempt');
+});
+
+test('the US $1 note and $1 coin are counted apart', async () => {
+  await visit(window, '#/settings');
+  const currency = document.getElementById('currency');
+  currency.value = 'USD';
+  currency.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await visit(window, '#/cash');
+  type(document.querySelector('.row[data-kind="note"][data-denom="1"] input.qty'), '1');
+  assert.equal(document.querySelector('.row[data-kind="coin"][data-denom="1"] input.qty').value, '');
+  assert.equal(document.getElementById('notesSubtotal').textContent, '$101.00');
+  assert.equal(document.getElementById('coinsSubtotal').textContent, '$0.15');
+});
+
+test('a forecast week not planned before can be edited straight away', async () => {
+  await visit(window, '#/forecast/4');
+  const amount = document.querySelector('[data-section="outgoingRows"] input.amount');
+  type(amount, '75');
+  await settle(400);
+  assert.equal(stored().futureWeeks[1].outgoingRows[0].cents, 7500);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currencyFor } from '../lib/money.js';
+import { defaultState, normalizeState } from '../lib/state.js';
+import { summaryTotals } from '../lib/totals.js';
+import { salesEntryId, weekDays, dailyShares, weekSales, suggestedSales } from '../lib/sales.js';
+
+const AUD = currencyFor({ currency: 'AUD' });
+
+/** A state for the week of 19 Oct 2026 projecting $700 of sales, with takings logged per day. */
+function stateWithSales(takings = {}) {
+  const s = structuredClone(defaultState);
+  s.weekStart = '2026-10-19';
+  s.income.incomeRows[0].cents = 70000;
+  s.sales = Object.entries(takings).map(([date, cents]) => ({ id: salesEntryId(date), date, cents, cash: null }));
+  return normalizeState(s);
+}
+
+/** An archived week whose every day took `cents`. */
+function closedWeek(weekStart, cents) {
+  return {
+    weekStart,
+    income: { incomeRows: [{ desc: 'Projected Sales', cents: 0, category: 'sales' }] },
+    sales: weekDays(weekStart).map(date => ({ date, cents, cash: null }))
+  };
+}
+
+test('weekDays lists Monday to Sunday', () => {
+  assert.deepEqual(weekDays('2026-10-26'), [
+    '2026-10-26', '2026-10-27', '2026-10-28', '2026-10-29', '2026-10-30', '2026-10-31', '2026-11-01'
+  ]);
+});
+
+test('dailyShares splits a week exactly, leftover cents first', () => {
+  assert.deepEqual(dailyShares(100), [15, 15, 14, 14, 14, 14, 14]);
+  assert.deepEqual(dailyShares(-100), [-15, -15, -14, -14, -14, -14, -14]);
+  assert.equal(dailyShares(123457).reduce((a, b) => a + b), 123457);
+  assert.deepEqual(dailyShares(0), [0, 0, 0, 0, 0, 0, 0]);
+});
+
+test('weekSales fills the days not logged with the projection', () => {
+  const sales = weekSales(stateWithSales({ '2026-10-19': 12000, '2026-10-20': 0, '2026-10-21': null }));
+  assert.equal(sales.projected, 70000);
+  assert.equal(sales.logged, 2);
+  assert.equal(sales.actual, 12000);
+  assert.equal(sales.loggedProjected, 20000);
+  assert.equal(sales.expected, 62000);
+  assert.deepEqual(sales.days.map(day => day.actual), [12000, 0, null, null, null, null, null]);
+});
+
+test('weekSales only counts income rows filed under Sales', () => {
+  const s = stateWithSales({ '2026-10-19': 5000 });
+  s.income.incomeRows.push({ id: 'x', desc: 'Catering', cents: 30000, category: 'other-income' });
+  assert.equal(weekSales(s).projected, 70000);
+  // Takings stand in for their share of the sales; other income is untouched
+  assert.equal(summaryTotals(s, AUD).incomeTotal, 70000 - 10000 + 5000 + 30000);
+});
+
+test('summaryTotals is unchanged until takings are logged', () => {
+  assert.equal(summaryTotals(stateWithSales(), AUD).incomeTotal, 70000);
+  const week = stateWithSales(Object.fromEntries(weekDays('2026-10-19').map(date => [date, 9000])));
+  assert.equal(summaryTotals(week, AUD).incomeTotal, 63000);
+  assert.equal(summaryTotals(week, AUD).thisRemaining, 63000 - summaryTotals(week, AUD).expThis);
+});
+
+test('suggestedSales averages the last weeks with takings logged', () => {
+  const s = stateWithSales({ '2026-10-19': 10000 });
+  assert.equal(suggestedSales(s), null);
+  s.history = [
+    closedWeek('2026-09-14', 1000),
+    closedWeek('2026-09-21', 2000),
+    { weekStart: '2026-09-28', income: { incomeRows: [] }, sales: [] },
+    closedWeek('2026-10-05', 3000),
+    closedWeek('2026-10-12', 4000)
+  ];
+  // The week without takings is passed over; this week is not finished
+  assert.deepEqual(suggestedSales(s), { cents: 17500, weeks: 4 });
+  assert.deepEqual(suggestedSales(s, 2), { cents: 24500, weeks: 2 });
+});
+
+test('suggestedSales counts this week once every day is logged', () => {
+  const s = stateWithSales(Object.fromEntries(weekDays('2026-10-19').map(date => [date, 5000])));
+  s.history = [closedWeek('2026-10-12', 3000)];
+  assert.deepEqual(suggestedSales(s), { cents: 28000, weeks: 2 });
+});
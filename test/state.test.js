@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, MIGRATIONS, defaultState, readSavedState, upgradeState, fillDefaults, normalizeState } from '../lib/state.js';
+
+/** A state as saved before schema versions, amounts and profiles existed. */
+function legacyState() {
+  return {
+    weekStart: '2026-10-19',
+    openingCash: '150.5',
+    cash: { quantities: { 50: '2' } },
+    income: {
+      cashFlowExtra: [],
+      incomeRows: [{ desc: 'Projected Sales (this week)', amount: '1,200.00' }],
+      outgoingThisWeek: [{ desc: 'Rent', amount: '450' }, { desc: 'Misc', amount: 'n/a' }],
+      outgoingNextWeek: [{ desc: 'Rent', amount: '' }]
+    },
+    history: []
+  };
+}
+
+test('upgradeState runs every migration on unversioned data', () => {
+  const s = upgradeState(legacyState());
+  assert.equal(s.schemaVersion, SCHEMA_VERSION);
+  assert.equal(s.openingCents, 15050);
+  assert.deepEqual(s.cash.profiles, [{ id: 'main', name: 'Main till', quantities: { 'note:50': '2' }, floatCents: null }]);
+  assert.deepEqual(s.income.incomeRows, [{ desc: 'Projected Sales (this week)', cents: 120000, category: 'sales', tax: 'exempt' }]);
+  assert.deepEqual(s.income.outgoingThisWeek.map(row => [row.cents, row.category]), [[45000, 'rent'], [null, '']]);
+  assert.equal(s.income.outgoingNextWeek[0].cents, null);
+  // Next week's income was copied from this week's before amounts became cents
+  assert.equal(s.income.incomeNextWeek[0].cents, 120000);
+  // Added fields come from the defaults
+  assert.deepEqual(s.settings, defaultState.settings);
+  assert.deepEqual(s.categories, defaultState.categories);
+});
+
+test('the category migration ignores later changes to the default categories', () => {
+  const s = { weekStart: '2026-10-19', income: { outgoingThisWeek: [{ desc: 'Rent', cents: 45000 }, { desc: 'Insurance', cents: 9000 }] } };
+  defaultState.categories.push({ id: 'insurance', kind: 'outgoing', name: 'Insurance' });
+  try {
+    MIGRATIONS[3](s);
+  } finally {
+    defaultState.categories.pop();
+  }
+  assert.deepEqual(s.income.outgoingThisWeek.map(row => row.category), ['rent', '']);
+});
+
+test('counts saved before notes and coins were keyed apart are split by kind', () => {
+  const s = upgradeState({
+    schemaVersion: 4,
+    settings: { currency: 'USD' },
+    cash: { profiles: [{ id: 'main', name: 'Main till', quantities: { 20: 2, 1: 3, 0.25: 4 } }] },
+    sales: [{ date: '2026-10-19', cents: 100, cash: { takenAt: '', total: 100, quantities: { 1: 1 } } }],
+    history: [{ weekStart: '2026-10-12', cash: { profiles: [{ id: 'main', quantities: { 2: 1 } }] } }]
+  });
+  // The shared $1 count stays with the note; the $1 coin starts at none
+  assert.deepEqual(s.cash.profiles[0].quantities, { 'note:20': 2, 'note:1': 3, 'coin:0.25': 4 });
+  assert.deepEqual(s.sales[0].cash.quantities, { 'note:1': 1 });
+  assert.deepEqual(s.history[0].cash.profiles[0].quantities, { 'note:2': 1 });
+  const aud = upgradeState({ schemaVersion: 4, cash: { profiles: [{ id: 'main', quantities: { 5: 1, 2: 1, 1: 1 } }] } });
+  assert.deepEqual(aud.cash.profiles[0].quantities, { 'note:5': 1, 'coin:2': 1, 'coin:1': 1 });
+});
+
+test('lines saved before the GST flag are upgraded as exempt', () => {
+  const s = upgradeState({
+    schemaVersion: 5,
+    income: { incomeRows: [{ desc: 'Sales', cents: 110000, category: 'sales' }, { desc: 'Catering', cents: 22000, tax: 'inclusive' }] },
+    futureWeeks: [{ incomeRows: [{ desc: 'Sales', cents: 1000 }], outgoingRows: [] }],
+    recurring: [{ id: 'rent', kind: 'outgoing', desc: 'Rent', cents: 45000, frequency: 'weekly' }],
+    history: [{ weekStart: '2026-10-12', income: { outgoingThisWeek: [{ desc: 'Rent', cents: 45000 }] } }]
+  });
+  assert.deepEqual(s.income.incomeRows.map(row => row.tax), ['exempt', 'inclusive']);
+  assert.equal(s.futureWeeks[0].incomeRows[0].tax, 'exempt');
+  assert.equal(s.recurring[0].tax, 'exempt');
+  assert.equal(s.history[0].income.outgoingThisWeek[0].tax, 'exempt');
+});
+
+test('a fresh install flags its lines instead of leaving them to a default', () => {
+  const fresh = readSavedState(undefined);
+  const lines = Object.values(fresh.income).flat();
+  assert.ok(lines.length);
+  lines.forEach(row => assert.equal(row.tax, 'inclusive', row.desc));
+  // Upgrading leaves flagged lines as they are
+  assert.deepEqual(upgradeState({ ...structuredClone(fresh), schemaVersion: 5 }).income, fresh.income);
+});
+
+test('upgradeState rejects data from a newer version with a code', () => {
+  assert.throws(() => upgradeState({ schemaVersion: SCHEMA_VERSION + 1 }), { code: 'SCHEMA_TOO_NEW' });
+  assert.throws(() => upgradeState({ schemaVersion: -1 }), /unknown schema version/);
+  assert.throws(() => upgradeState([]), /not a cashflow state/);
+  assert.throws(() => upgradeState(null), /not a cashflow state/);
+});
+
+test('fillDefaults fills nested gaps and rejects values of the wrong type', () => {
+  const target = { settings: { currency: 'NZD' }, history: [] };
+  fillDefaults(target, defaultState);
+  assert.equal(target.settings.currency, 'NZD');
+  assert.equal(target.settings.forecastWeeks, defaultState.settings.forecastWeeks);
+  assert.notEqual(target.income, defaultState.income);
+  assert.throws(() => fillDefaults({ income: [] }, defaultState), /state\.income has the wrong type \(expected object, found list\)/);
+  assert.throws(() => fillDefaults({ settings: { forecastWeeks: {} } }, defaultState), /state\.settings\.forecastWeeks/);
+});
+
+test('normalizeState gives rows stable ids and repairs the active profile', () => {
+  const s = upgradeState(legacyState());
+  s.cash.active = 'gone';
+  normalizeState(s);
+  assert.equal(s.cash.active, 'main');
+  assert.equal(s.income.outgoingThisWeek[1].id, '2026-10-19:outgoingThisWeek:1');
+  assert.equal(s.income.incomeNextWeek[0].id, '2026-10-26:incomeNextWeek:0');
+  assert.equal(s.income.outgoingThisWeek[1].updatedAt, 0);
+});
+
+test('normalizeState restores an empty cash profile list', () => {
+  const s = upgradeState({ weekStart: '2026-10-19', cash: { profiles: [], active: '' } });
+  normalizeState(s);
+  assert.deepEqual(s.cash.profiles.map(p => p.id), ['main']);
+});
+
+test('readSavedState starts from the defaults when nothing is saved', () => {
+  const s = readSavedState(undefined);
+  assert.equal(s.schemaVersion, SCHEMA_VERSION);
+  assert.match(s.weekStart, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(s.income.outgoingThisWeek.length, defaultState.income.outgoingThisWeek.length);
+});
+
+test('readSavedState reads text and leaves stored objects untouched', () => {
+  assert.equal(readSavedState(JSON.stringify(legacyState())).openingCents, 15050);
+  const stored = legacyState();
+  const s = readSavedState(stored);
+  assert.equal(s.openingCents, 15050);
+  assert.deepEqual(stored, legacyState());
+});
+
+test('readSavedState throws on corrupt data so the caller can keep a copy', () => {
+  assert.throws(() => readSavedState('{"weekStart": "2026-10-19", "income": '), SyntaxError);
+  assert.throws(() => readSavedState('"just text"'), /not a cashflow state/);
+  assert.throws(() => readSavedState({ schemaVersion: SCHEMA_VERSION, income: 'lost' }), /state\.income has the wrong type/);
+  // Migrations may fail on mangled sections too; any error will do
+  assert.throws(() => readSavedState({ income: 'lost' }));
+  assert.throws(() => readSavedState({ schemaVersion: 99 }), { code: 'SCHEMA_TOO_NEW' });
+});
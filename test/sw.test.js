@@ -0,0 +1,244 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const source = readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+const ORIGIN = 'https://cashflow.test';
+
+/** Cache API stand-in: one Map of URL → Response per cache name. */
+class MockCache {
+  constructor(fetch) {
+    this.entries = new Map();
+    this.fetch = fetch;
+  }
+
+  static key(request, { ignoreSearch = false } = {}) {
+    const url = new URL(typeof request === 'string' ? request : request.url, ORIGIN);
+    if (ignoreSearch) url.search = '';
+    return url.href;
+  }
+
+  async match(request, options) {
+    const key = MockCache.key(request, options);
+    const hit = [...this.entries].find(([url]) => MockCache.key(url, options) === key);
+    return hit ? hit[1].clone() : undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(MockCache.key(request), response);
+  }
+
+  async delete(request) {
+    return this.entries.delete(MockCache.key(request));
+  }
+
+  async addAll(requests) {
+    const responses = await Promise.all(requests.map(request => this.fetch(request)));
+    responses.forEach((response, i) => {
+      if (!response.ok) throw new TypeError(`Request for ${requests[i].url} failed`);
+    });
+    responses.forEach((response, i) => this.entries.set(MockCache.key(requests[i]), response));
+  }
+}
+
+class MockCacheStorage {
+  constructor(fetch) {
+    this.caches = new Map();
+    this.fetch = fetch;
+  }
+
+  async open(name) {
+    if (!this.caches.has(name)) this.caches.set(name, new MockCache(this.fetch));
+    return this.caches.get(name);
+  }
+
+  async keys() {
+    return [...this.caches.keys()];
+  }
+
+  async delete(name) {
+    return this.caches.delete(name);
+  }
+}
+
+/**
+ * Run sw.js in a fresh worker scope with mocked caches and network.
+ * @param {{online?: boolean}} [options]
+ */
+function loadWorker({ online = true } = {}) {
+  const listeners = {};
+  const requests = [];
+  const worker = {
+    online,
+    requests,
+    skipped: false,
+    claimed: false,
+    // Open pages, as clients.matchAll() lists them
+    windows: [],
+    // Answers with the URL, or 404 for /missing
+    fetch: async (request) => {
+      const url = typeof request === 'string' ? request : request.url;
+      requests.push(request);
+      if (!worker.online) throw new TypeError('Failed to fetch');
+      return new Response(`network ${url}`, { status: url.endsWith('/missing') ? 404 : 200 });
+    }
+  };
+  worker.caches = new MockCacheStorage(worker.fetch);
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: () => { worker.skipped = true; },
+    clients: { claim: async () => { worker.claimed = true; }, matchAll: async () => worker.windows }
+  };
+  // Relative URLs resolve against the worker's origin, as in a browser
+  class WorkerRequest extends Request {
+    constructor(input, init) {
+      super(typeof input === 'string' ? new URL(input, ORIGIN) : input, init);
+    }
+  }
+  const scope = vm.createContext({
+    self, caches: worker.caches, fetch: worker.fetch, Request: WorkerRequest, Response, URL, console
+  });
+  vm.runInContext(source, scope);
+  // Top-level constants stay readable from later scripts in the same scope
+  Object.assign(worker, vm.runInContext('({ VERSION, CACHE_NAME, APP_SHELL })', scope));
+
+  /**
+   * Dispatch an event to the worker and wait for what it passes to
+   * waitUntil(); resolves with what it passes to respondWith(), if anything.
+   */
+  worker.dispatch = async (type, props = {}) => {
+    const waits = [];
+    let response;
+    listeners[type]({ ...props, waitUntil: p => waits.push(p), respondWith: p => { response = p; } });
+    await Promise.all(waits);
+    return response;
+  };
+  return worker;
+}
+
+/** Dispatch a fetch for a URL on the app's origin. */
+function get(worker, path, props = {}) {
+  return worker.dispatch('fetch', { request: { url: new URL(path, ORIGIN).href, method: 'GET', mode: 'cors', ...props } });
+}
+
+/**
+ * Install and activate the worker, as a first visit does, then set whether
+ * the network is reachable.
+ * @param {{online?: boolean}} [options]
+ */
+async function installed({ online = true } = {}) {
+  const worker = loadWorker();
+  await worker.dispatch('install');
+  await worker.dispatch('activate');
+  worker.requests.length = 0;
+  worker.online = online;
+  return worker;
+}
+
+test('install precaches the app shell from the network, bypassing the HTTP cache', async () => {
+  const worker = loadWorker();
+  await worker.dispatch('install');
+  assert.equal(worker.CACHE_NAME, `cashflow-cache-v${worker.VERSION}`);
+  const cache = await worker.caches.open(worker.CACHE_NAME);
+  // APP_SHELL belongs to the worker's realm; copy it so deepEqual compares values only
+  assert.deepEqual([...cache.entries.keys()], [...worker.APP_SHELL].map(path => new URL(path, ORIGIN).href));
+  assert.ok(worker.requests.every(request => request.cache === 'reload'));
+  assert.equal(worker.skipped, false);
+});
+
+test('the app shell lists app.js and every module it imports', () => {
+  const { APP_SHELL } = loadWorker();
+  const app = readFileSync(new URL('../app.js', import.meta.url), 'utf8');
+  const imports = (text) => [...text.matchAll(/^import [\s\S]*?from '\.\/(.+?)';$/gm)].map(m => m[1]);
+  const modules = imports(app).flatMap(path => [path, ...imports(readFileSync(new URL(`../${path}`, import.meta.url), 'utf8'))
+    .map(dep => new URL(dep, `${ORIGIN}/${path}`).pathname.slice(1))]);
+  assert.ok(APP_SHELL.includes('/app.js'));
+  new Set(modules).forEach(path => assert.ok(APP_SHELL.includes(`/${path}`), `${path} is not precached`));
+});
+
+test('install fails when a shell file cannot be fetched', async () => {
+  const worker = loadWorker({ online: false });
+  await assert.rejects(worker.dispatch('install'), /Failed to fetch/);
+});
+
+test('activate removes caches from other versions', async () => {
+  const worker = loadWorker();
+  await worker.caches.open('cashflow-cache-v1');
+  await worker.caches.open('other-cache');
+  await worker.dispatch('install');
+  await worker.dispatch('activate');
+  assert.deepEqual(await worker.caches.keys(), [worker.CACHE_NAME]);
+  assert.equal(worker.claimed, true);
+});
+
+test('navigations get the cached shell without touching the network', async () => {
+  const worker = await installed();
+  const response = await get(worker, '/#/summary', { mode: 'navigate' });
+  assert.equal(await response.text(), `network ${ORIGIN}/index.html`);
+  assert.equal(worker.requests.length, 0);
+});
+
+test('navigations fall back to the offline page', async () => {
+  const worker = await installed({ online: false });
+  const cache = await worker.caches.open(worker.CACHE_NAME);
+  await cache.delete('/index.html');
+  const response = await get(worker, '/', { mode: 'navigate' });
+  assert.equal(await response.text(), `network ${ORIGIN}/offline.html`);
+  await cache.delete('/offline.html');
+  assert.equal((await get(worker, '/', { mode: 'navigate' })).status, 503);
+});
+
+test('app shell files are served cache-first, ignoring query strings', async () => {
+  const worker = await installed({ online: false });
+  const response = await get(worker, '/lib/totals.js?v=2');
+  assert.equal(await response.text(), `network ${ORIGIN}/lib/totals.js`);
+  assert.equal(worker.requests.length, 0);
+});
+
+test('Supabase requests are left to the network', async () => {
+  const worker = await installed();
+  const response = await worker.dispatch('fetch', { request: { url: 'https://abc.supabase.co/rest/v1/cashflow_state', method: 'GET', mode: 'cors' } });
+  assert.equal(response, undefined);
+});
+
+test('other requests are cached once fetched and served from cache offline', async () => {
+  const worker = await installed();
+  const url = 'https://fonts.test/inter.css';
+  const first = await worker.dispatch('fetch', { request: { url, method: 'GET', mode: 'cors' } });
+  assert.equal(await first.text(), `network ${url}`);
+  // Caching happens alongside the response
+  await new Promise(resolve => setImmediate(resolve));
+  worker.online = false;
+  const second = await worker.dispatch('fetch', { request: { url, method: 'GET', mode: 'cors' } });
+  assert.equal(await second.text(), `network ${url}`);
+});
+
+test('failed responses are not cached', async () => {
+  const worker = await installed();
+  const response = await get(worker, '/missing');
+  assert.equal(response.status, 404);
+  await new Promise(resolve => setImmediate(resolve));
+  const cache = await worker.caches.open(worker.CACHE_NAME);
+  assert.equal(await cache.match('/missing'), undefined);
+});
+
+test('the page can tell a waiting worker to take over', async () => {
+  const worker = loadWorker();
+  await worker.dispatch('message', { data: { type: 'SKIP_WAITING' } });
+  assert.equal(worker.skipped, true);
+});
+
+test('background sync asks open pages to flush their pending writes', async () => {
+  const worker = await installed();
+  const messages = [];
+  worker.windows = [{ postMessage: message => messages.push(message) }];
+  await worker.dispatch('sync', { tag: 'cashflow-sync' });
+  assert.deepEqual(messages.map(message => message.type), ['FLUSH_SYNC']);
+});
+
+test('background sync fails with no page open, so the browser retries', async () => {
+  const worker = await installed();
+  await assert.rejects(worker.dispatch('sync', { tag: 'cashflow-sync' }), /No open window/);
+});
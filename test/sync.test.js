@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultState, normalizeState, SCHEMA_VERSION } from '../lib/state.js';
+import { SYNC_TABLE, SYNC_ATTEMPTS, TOMBSTONE_TTL_MS, stampChanges, mergeStates, pushState } from '../lib/sync.js';
+
+/** A fresh state for the week of 19 Oct 2026 with `edit` applied. */
+function stateWith(edit = () => {}) {
+  const s = structuredClone(defaultState);
+  s.weekStart = '2026-10-19';
+  edit(s);
+  return normalizeState(s);
+}
+
+/** The row described as `desc` in this week's outgoings. */
+function outgoing(s, desc) {
+  return s.income.outgoingThisWeek.find(row => row.desc === desc);
+}
+
+/**
+ * Stand-in for the Supabase REST endpoint: the sync table in memory, behind
+ * the query methods pushState() uses. `beforeWrite` runs ahead of each insert
+ * or update, to let another device write first.
+ */
+function fakeClient(rows = []) {
+  const client = { rows, writes: 0, beforeWrite: () => {} };
+  const matches = (filters) => (row) => filters.every(([col, value]) => row[col] === value);
+  client.from = (table) => {
+    assert.equal(table, SYNC_TABLE);
+    const filters = [];
+    let write = null;
+    const run = async () => {
+      client.writes++;
+      client.beforeWrite(client);
+      if (write.insert) {
+        if (client.rows.some(matches([['user_id', write.insert.user_id], ['workspace_id', write.insert.workspace_id]]))) {
+          // What PostgREST answers, with HTTP 409, for a duplicate primary key
+          return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        }
+        client.rows.push(structuredClone(write.insert));
+        return { data: [{ revision: write.insert.revision }], error: null };
+      }
+      const updated = client.rows.filter(matches(filters));
+      updated.forEach(row => Object.assign(row, structuredClone(write.update)));
+      return { data: updated.map(row => ({ revision: row.revision })), error: null };
+    };
+    const query = {
+      select: () => query,
+      eq: (col, value) => { filters.push([col, value]); return query; },
+      insert: (row) => { write = { insert: row }; return query; },
+      update: (row) => { write = { update: row }; return query; },
+      maybeSingle: async () => {
+        const row = client.rows.find(matches(filters));
+        return { data: row ? structuredClone({ state: row.state, revision: row.revision }) : null, error: null };
+      },
+      then: (resolve, reject) => run().then(resolve, reject)
+    };
+    return query;
+  };
+  return client;
+}
+
+/** A row of the sync table holding `state` at `revision`. */
+function storedRow(state, revision) {
+  return { user_id: 'user', workspace_id: 'default', name: '', state: structuredClone(state), revision };
+}
+
+/** pushState() options for the test user's default workspace. */
+function pushing(local, since = 0) {
+  return { userId: 'user', workspaceId: 'default', name: '', since, local: () => structuredClone(local) };
+}
+
+test('stampChanges stamps edited and new rows and leaves tombstones', () => {
+  const before = stateWith(s => { s.updatedAt = 100; });
+  const after = structuredClone(before);
+  outgoing(after, 'Rent').cents = 45000;
+  after.income.outgoingThisWeek.push({ desc: 'Insurance', cents: 9000 });
+  after.income.outgoingThisWeek = after.income.outgoingThisWeek.filter(row => row.desc !== 'Car');
+  after.deleted.ancient = 1;
+  stampChanges(before, after, 5000);
+  assert.equal(outgoing(after, 'Rent').updatedAt, 5000);
+  assert.equal(outgoing(after, 'Phone').updatedAt, 0);
+  assert.ok(outgoing(after, 'Insurance').id);
+  assert.equal(outgoing(after, 'Insurance').updatedAt, 5000);
+  assert.deepEqual(after.deleted, { [outgoing(before, 'Car').id]: 5000, ancient: 1 });
+  const later = structuredClone(after);
+  stampChanges(after, later, 5000 + TOMBSTONE_TTL_MS);
+  assert.deepEqual(later.deleted, { [outgoing(before, 'Car').id]: 5000 });
+  assert.equal(outgoing(later, 'Rent').updatedAt, 5000);
+});
+
+test('mergeStates keeps the newest edit of a row and counts concurrent edits', () => {
+  const base = stateWith();
+  const local = structuredClone(base);
+  const remote = structuredClone(base);
+  Object.assign(outgoing(local, 'Rent'), { cents: 45000, updatedAt: 200 });
+  Object.assign(outgoing(remote, 'Rent'), { cents: 47000, updatedAt: 300 });
+  Object.assign(outgoing(local, 'Car'), { cents: 6000, updatedAt: 250 });
+  local.updatedAt = 250;
+  remote.updatedAt = 300;
+  const { state, conflicts } = mergeStates(local, remote, 100);
+  assert.equal(outgoing(state, 'Rent').cents, 47000);
+  assert.equal(outgoing(state, 'Car').cents, 6000);
+  assert.equal(conflicts, 1);
+  // Edits before the last sync are not conflicts, only out of date
+  assert.equal(mergeStates(local, remote, 200).conflicts, 0);
+});
+
+test('mergeStates drops rows deleted after their last edit', () => {
+  const base = stateWith();
+  const car = outgoing(base, 'Car').id;
+  const local = structuredClone(base);
+  const remote = structuredClone(base);
+  Object.assign(outgoing(local, 'Car'), { cents: 6000, updatedAt: 200 });
+  remote.income.outgoingThisWeek = remote.income.outgoingThisWeek.filter(row => row.id !== car);
+  remote.deleted[car] = 300;
+  assert.equal(outgoing(mergeStates(local, remote, 100).state, 'Car'), undefined);
+  assert.equal(outgoing(mergeStates(remote, local, 100).state, 'Car'), undefined);
+  // An edit made after the deletion brings the row back
+  outgoing(local, 'Car').updatedAt = 400;
+  assert.equal(outgoing(mergeStates(local, remote, 100).state, 'Car').cents, 6000);
+});
+
+test('mergeStates adds rows only one side has to their week\'s section', () => {
+  const local = stateWith(s => { s.updatedAt = 300; });
+  const remote = stateWith(s => {
+    s.income.outgoingThisWeek.push({ id: 'insurance', desc: 'Insurance', cents: 9000, updatedAt: 200 });
+    s.updatedAt = 200;
+  });
+  const { state } = mergeStates(local, remote, 0);
+  assert.equal(outgoing(state, 'Insurance').cents, 9000);
+  assert.equal(state.updatedAt, 300);
+});
+
+test('pushState uploads a first copy at revision 1', async () => {
+  const client = fakeClient();
+  const local = stateWith();
+  const result = await pushState(client, pushing(local));
+  assert.equal(result.revision, 1);
+  assert.equal(result.conflicts, 0);
+  assert.deepEqual(client.rows.map(row => [row.workspace_id, row.revision]), [['default', 1]]);
+  assert.deepEqual(client.rows[0].state, local);
+});
+
+test('pushState merges again when another device uploads first (409 on insert)', async () => {
+  const client = fakeClient();
+  const other = stateWith(s => {
+    s.income.outgoingThisWeek.push({ id: 'insurance', desc: 'Insurance', cents: 9000, updatedAt: 200 });
+    s.updatedAt = 200;
+  });
+  client.beforeWrite = () => {
+    client.beforeWrite = () => {};
+    client.rows.push(storedRow(other, 1));
+  };
+  const local = stateWith(s => { Object.assign(outgoing(s, 'Rent'), { cents: 45000, updatedAt: 300 }); s.updatedAt = 300; });
+  const result = await pushState(client, pushing(local));
+  assert.equal(client.writes, 2);
+  assert.equal(result.revision, 2);
+  assert.equal(client.rows[0].revision, 2);
+  assert.equal(outgoing(client.rows[0].state, 'Rent').cents, 45000);
+  assert.equal(outgoing(client.rows[0].state, 'Insurance').cents, 9000);
+});
+
+test('pushState merges again when the revision moved on (update matches no row)', async () => {
+  const stored = stateWith(s => { s.schemaVersion = SCHEMA_VERSION; });
+  const client = fakeClient([storedRow(stored, 1)]);
+  client.beforeWrite = () => {
+    client.beforeWrite = () => {};
+    const row = client.rows[0];
+    Object.assign(outgoing(row.state, 'Rent'), { cents: 47000, updatedAt: 400 });
+    row.state.updatedAt = 400;
+    row.revision = 2;
+  };
+  const local = structuredClone(stored);
+  Object.assign(outgoing(local, 'Rent'), { cents: 45000, updatedAt: 300 });
+  Object.assign(outgoing(local, 'Car'), { cents: 6000, updatedAt: 300 });
+  local.updatedAt = 300;
+  const result = await pushState(client, pushing(local, 100));
+  assert.equal(client.writes, 2);
+  assert.equal(result.revision, 3);
+  assert.equal(result.conflicts, 1);
+  assert.equal(outgoing(result.state, 'Rent').cents, 47000);
+  assert.equal(outgoing(client.rows[0].state, 'Car').cents, 6000);
+  // The local copy the merge started from, for the caller to compare against
+  assert.equal(outgoing(result.base, 'Rent').cents, 45000);
+});
+
+test('pushState gives up when another device keeps writing first', async () => {
+  const client = fakeClient([storedRow(stateWith(), 1)]);
+  client.beforeWrite = () => { client.rows[0].revision++; };
+  await assert.rejects(pushState(client, pushing(stateWith())), /kept changing/);
+  assert.equal(client.writes, SYNC_ATTEMPTS);
+});
+
+test('pushState stops on a stored state from a newer version', async () => {
+  const client = fakeClient([storedRow({ schemaVersion: SCHEMA_VERSION + 1 }, 1)]);
+  await assert.rejects(pushState(client, pushing(stateWith())), { code: 'SCHEMA_TOO_NEW' });
+  assert.equal(client.writes, 0);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultState, normalizeState } from '../lib/state.js';
+import { salesEntryId } from '../lib/sales.js';
+import { taxApplies, taxIncluded, rowTax, weekTax, quarterStartISO, quarterTax } from '../lib/tax.js';
+
+/** A fresh state for the week of 19 Oct 2026 with `edit` applied. */
+function stateWith(edit = () => {}) {
+  const s = structuredClone(defaultState);
+  s.weekStart = '2026-10-19';
+  edit(s);
+  return normalizeState(s);
+}
+
+/** An archived week with one income and one outgoing line. */
+function closedWeek(weekStart, income, outgoing, extra = {}) {
+  return {
+    weekStart,
+    income: {
+      incomeRows: [{ desc: 'Sales', cents: income, category: 'sales' }],
+      outgoingThisWeek: [{ desc: 'Supplies', cents: outgoing, category: 'supplies' }]
+    },
+    ...extra
+  };
+}
+
+test('taxIncluded splits the tax out of a tax-inclusive amount', () => {
+  assert.equal(taxIncluded(11000, 10), 1000);
+  assert.equal(taxIncluded(1000, 10), 91);
+  assert.equal(taxIncluded(-1000, 10), -91);
+  assert.equal(taxIncluded(11500, 15), 1500);
+  assert.equal(taxIncluded(5000, 0), 0);
+});
+
+test('rowTax skips exempt and blank lines', () => {
+  assert.equal(rowTax({ cents: 2200 }, 10), 200);
+  assert.equal(rowTax({ cents: 2200, tax: 'inclusive' }, 10), 200);
+  assert.equal(rowTax({ cents: 2200, tax: 'exempt' }, 10), 0);
+  assert.equal(rowTax({ cents: null }, 10), 0);
+});
+
+test('weekTax counts this week\'s income, outgoings and recurring items', () => {
+  const s = stateWith(s => {
+    s.income.incomeRows[0].cents = 110000;
+    // Cash flow lines are not sales, whatever their flag says
+    s.income.cashFlowExtra.push({ desc: 'Float top-up', cents: 5500 });
+    s.income.outgoingThisWeek[0].cents = 33000;
+    s.income.outgoingThisWeek[1].cents = 44000;
+    s.income.outgoingThisWeek[1].tax = 'exempt';
+    // Next week's lines belong to next week's figures
+    s.income.outgoingNextWeek[0].cents = 99000;
+    s.recurring = [{ id: 'phone', kind: 'outgoing', desc: 'Phone', cents: 5500, frequency: 'weekly', start: '2026-10-01' }];
+  });
+  assert.deepEqual(weekTax(s, 10), { collected: 10000, paid: 3000 + 500, net: 6500 });
+  s.recurring[0].tax = 'exempt';
+  assert.equal(weekTax(s, 10).paid, 3000);
+});
+
+test('only cash flow lines are outside GST', () => {
+  assert.equal(taxApplies('cashFlowExtra'), false);
+  ['incomeRows', 'outgoingThisWeek', 'incomeNextWeek', 'outgoingNextWeek'].forEach(key => assert.equal(taxApplies(key), true));
+});
+
+test('weekTax follows logged takings, taxed like the Sales lines', () => {
+  const s = stateWith(s => {
+    s.income.incomeRows[0].cents = 77000;
+    s.sales = [{ id: salesEntryId('2026-10-19'), date: '2026-10-19', cents: 22000, cash: null }];
+  });
+  // Monday's $110 share of the projection is replaced by $220 of takings
+  assert.equal(weekTax(s, 10).collected, 8000);
+  s.income.incomeRows[0].tax = 'exempt';
+  assert.equal(weekTax(s, 10).collected, 0);
+});
+
+test('quarterStartISO finds the start of the BAS quarter', () => {
+  assert.equal(quarterStartISO('2026-10-19'), '2026-10-01');
+  assert.equal(quarterStartISO('2026-09-28'), '2026-07-01');
+  assert.equal(quarterStartISO('2027-03-31'), '2027-01-01');
+  assert.equal(quarterStartISO('2027-04-01'), '2027-04-01');
+});
+
+test('quarterTax adds the archived weeks starting in this quarter', () => {
+  const s = stateWith(s => {
+    s.income.incomeRows[0].cents = 11000;
+    s.history = [
+      closedWeek('2026-09-28', 99000, 0),
+      closedWeek('2026-10-05', 22000, 11000),
+      closedWeek('2026-10-12', 11500, 0, { taxRate: 15 })
+    ];
+  });
+  assert.deepEqual(quarterTax(s, 10), {
+    collected: 1000 + 2000 + 1500, paid: 1000, net: 3500, start: '2026-10-01', weeks: 3
+  });
+});
+
+test('quarterTax leaves the archived weeks as they were', () => {
+  const s = stateWith(s => { s.history = [closedWeek('2026-10-12', 22000, 11000)]; });
+  const history = structuredClone(s.history);
+  quarterTax(s, 10);
+  quarterTax(s, 10);
+  assert.deepEqual(s.history, history);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currencyFor } from '../lib/money.js';
+import { defaultState, normalizeState } from '../lib/state.js';
+import {
+  sumAmounts, profileTotals, cashTotals, combinedQuantities, summaryTotals, forecastWeeks, forecastHorizon
+} from '../lib/totals.js';
+
+const AUD = currencyFor({ currency: 'AUD' });
+
+/** A fresh state for the week of 19 Oct 2026 with `edit` applied. */
+function stateWith(edit = () => {}) {
+  const s = structuredClone(defaultState);
+  s.weekStart = '2026-10-19';
+  edit(s);
+  return normalizeState(s);
+}
+
+/** Set the amount of the row described as `desc` in an income section. */
+function setAmount(s, key, desc, cents) {
+  s.income[key].find(row => row.desc === desc).cents = cents;
+}
+
+test('sumAmounts treats blanks as zero', () => {
+  assert.equal(sumAmounts([{ cents: 1250 }, { cents: null }, { cents: -250 }, {}]), 1000);
+  assert.equal(sumAmounts([]), 0);
+});
+
+test('profileTotals counts notes and coins in cents and keeps the float back', () => {
+  const profile = { quantities: { 'note:50': '2', 'note:20': 1, 'coin:0.05': '3', 'coin:0.1': '7', 'coin:0.2': '' }, floatCents: 2000 };
+  assert.deepEqual(profileTotals(profile, AUD), {
+    notesSubtotal: 12000, coinsSubtotal: 85, total: 12085, float: 2000, toBank: 10085
+  });
+});
+
+test('profileTotals only counts the currency\'s denominations', () => {
+  // NZD has no 5c coin
+  const profile = { quantities: { 'coin:0.05': 10, 'coin:1': 2 }, floatCents: null };
+  assert.equal(profileTotals(profile, currencyFor({ currency: 'NZD' })).total, 200);
+  assert.equal(profileTotals(profile, AUD).total, 250);
+});
+
+test('profileTotals counts the US $1 note and $1 coin apart', () => {
+  const USD = currencyFor({ currency: 'USD' });
+  const profile = { quantities: { 'note:1': 1, 'coin:1': 0 }, floatCents: null };
+  assert.deepEqual(profileTotals(profile, USD), {
+    notesSubtotal: 100, coinsSubtotal: 0, total: 100, float: 0, toBank: 100
+  });
+});
+
+test('cashTotals adds up every profile', () => {
+  const cash = {
+    profiles: [
+      { id: 'main', name: 'Main till', floatCents: 10000, quantities: { 'note:100': 3 } },
+      { id: 'safe', name: 'Safe', floatCents: null, quantities: { 'coin:0.5': 5, 'note:5': 1 } }
+    ],
+    active: 'main'
+  };
+  const totals = cashTotals(cash, AUD);
+  assert.equal(totals.total, 30750);
+  assert.equal(totals.notesSubtotal, 30500);
+  assert.equal(totals.coinsSubtotal, 250);
+  assert.equal(totals.toBank, 20750);
+  assert.deepEqual(totals.profiles.map(p => [p.id, p.total]), [['main', 30000], ['safe', 750]]);
+  assert.deepEqual(combinedQuantities(cash), { 'note:100': 3, 'coin:0.5': 5, 'note:5': 1 });
+});
+
+test('summaryTotals carries this week\'s remaining into next week', () => {
+  const s = stateWith(s => {
+    s.openingCents = 5000;
+    s.cash.profiles[0].quantities = { 'note:50': 2 };
+    setAmount(s, 'incomeRows', 'Projected Sales (this week)', 120000);
+    setAmount(s, 'outgoingThisWeek', 'Rent', 45000);
+    setAmount(s, 'outgoingThisWeek', 'Car', 6050);
+    setAmount(s, 'incomeNextWeek', 'Projected Sales', 80000);
+    setAmount(s, 'outgoingNextWeek', 'Rent', 45000);
+  });
+  assert.deepEqual(summaryTotals(s, AUD), {
+    openingCash: 5000, cashTotal: 10000, incomeTotal: 120000, expThis: 51050,
+    incomeNext: 80000, expNext: 45000, thisRemaining: 83950, nextStart: 83950, nextRemaining: 118950
+  });
+});
+
+test('summaryTotals includes recurring items due that week, minus skipped ones', () => {
+  const s = stateWith(s => {
+    s.recurring = [
+      { id: 'wages', kind: 'outgoing', desc: 'Wages', cents: 30000, category: '', tags: [], frequency: 'weekly', day: 1, start: '2026-10-19' },
+      { id: 'lease', kind: 'outgoing', desc: 'Lease', cents: 99900, category: '', tags: [], frequency: 'monthly', day: 1, start: '2026-10-01' }
+    ];
+    s.recurringOverrides = { '2026-10-26': { wages: { skip: true } } };
+  });
+  const totals = summaryTotals(s, AUD);
+  assert.equal(totals.expThis, 30000);
+  // Next week holds 1 November, when the lease is due; the wages are skipped
+  assert.equal(totals.expNext, 99900);
+  assert.equal(totals.nextRemaining, -129900);
+});
+
+test('summaryTotals works on archived weeks, which have no recurring items', () => {
+  const s = stateWith(s => setAmount(s, 'outgoingThisWeek', 'Rent', 40000));
+  const week = { weekStart: s.weekStart, openingCents: 1000, cash: s.cash, income: s.income };
+  assert.equal(summaryTotals(week, AUD).thisRemaining, -39000);
+});
+
+test('forecastWeeks chains each week from the one before', () => {
+  const s = stateWith(s => {
+    s.settings.forecastWeeks = 4;
+    setAmount(s, 'incomeRows', 'Projected Sales (this week)', 10000);
+    s.futureWeeks = [{ incomeRows: [{ desc: 'Market', cents: 5000 }], outgoingRows: [{ desc: 'Stock', cents: 20000 }] }];
+  });
+  const weeks = forecastWeeks(s, AUD);
+  assert.deepEqual(weeks.map(w => [w.number, w.weekStart, w.start, w.remaining]), [
+    [1, '2026-10-19', 0, 10000],
+    [2, '2026-10-26', 10000, 10000],
+    [3, '2026-11-02', 10000, -5000],
+    [4, '2026-11-09', -5000, -5000]
+  ]);
+});
+
+test('forecastHorizon clamps to the supported range', () => {
+  assert.equal(forecastHorizon({ settings: { forecastWeeks: 40 } }), 12);
+  assert.equal(forecastHorizon({ settings: { forecastWeeks: 1 } }), 2);
+  assert.equal(forecastHorizon({ settings: { forecastWeeks: 'x' } }), defaultState.settings.forecastWeeks);
+});
@@ -0,0 +1,62 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, visit, settle, type, press } from './dom.js';
+
+const window = await bootApp({ hash: '#/income' });
+const { document } = window;
+after(() => window.close());
+
+/** The amount input of this week's outgoing line described as `desc`. */
+function amount(desc) {
+  const row = [...document.querySelectorAll('[data-section="outgoingThisWeek"]')]
+    .find(row => row.querySelector('input.desc').value === desc);
+  return row.querySelector('input.amount');
+}
+
+/** Focus an input and type into it keystroke by keystroke, leaving it focused. */
+function edit(input, text) {
+  input.focus();
+  [...text].forEach((_char, i) => type(input, text.slice(0, i + 1)));
+}
+
+test('edits to one field are undone together, a step per field', async () => {
+  edit(amount('Rent'), '450');
+  edit(amount('Car'), '60');
+  amount('Car').blur();
+  assert.equal(document.getElementById('undoButton').disabled, false);
+  document.getElementById('undoButton').click();
+  await settle();
+  assert.deepEqual([amount('Rent').value, amount('Car').value], ['450.00', '']);
+  document.getElementById('undoButton').click();
+  await settle();
+  assert.deepEqual([amount('Rent').value, amount('Car').value], ['', '']);
+  assert.equal(document.getElementById('undoButton').disabled, true);
+  document.getElementById('redoButton').click();
+  await settle();
+  assert.equal(amount('Rent').value, '450.00');
+});
+
+test('Ctrl+Z is left to the browser in a field typed into since it was focused', async () => {
+  const input = amount('Phone');
+  edit(input, '55');
+  press(input, 'z', { ctrlKey: true });
+  await settle(400);
+  assert.equal(input.value, '55', 'the page is not re-rendered from an undo step');
+  assert.equal(document.getElementById('redoButton').disabled, true);
+  input.blur();
+  amount('Phone').focus();
+  press(amount('Phone'), 'z', { ctrlKey: true });
+  await settle();
+  assert.equal(amount('Phone').value, '');
+});
+
+test('undo steps are copied to sessionStorage when the page is hidden, not on every edit', async () => {
+  await visit(window, '#/income');
+  window.sessionStorage.clear();
+  edit(amount('Rent'), '500');
+  assert.equal(window.sessionStorage.getItem('undo-cashflow'), null);
+  window.dispatchEvent(new window.Event('pagehide'));
+  const steps = JSON.parse(window.sessionStorage.getItem('undo-cashflow'));
+  assert.equal(steps.undo.length, 2);
+  assert.equal(steps.undo[1].state.income.outgoingThisWeek.find(row => row.desc === 'Rent').cents, 45000);
+});